@@ -0,0 +1,81 @@
+import {
+    parseInteger,
+    gcd
+} from "../utils/math"
+
+//  Split "(1, -2)", "{1; 2}" or "1 2" into parts, arrays are taken as is
+const splitList = (value) => {
+    if (Array.isArray(value)) {
+        return value
+    }
+
+    const text = String(value).trim().replace(/^[([{]\s*|\s*[)\]}]$/g, '')
+
+    return text.length ? text.split(/\s*[,;]\s*|\s+/) : []
+}
+
+const parseIntegers = (value) => {
+    const numbers = splitList(value).map(parseInteger)
+
+    return numbers.includes(null) ? null : numbers
+}
+
+//  Every answer type converts both the task answer and the user input to a canonical string
+const answerTypes = {
+    integer: (value) => {
+        const number = parseInteger(value)
+
+        return number === null ? null : number.toString()
+    },
+    rational: (value) => {
+        const parts = Array.isArray(value) ? value : String(value).trim().split(/\s*\/\s*/)
+        const [numerator, denominator = 1n] = parts.map(parseInteger)
+
+        if (parts.length > 2 || numerator === null || denominator === null || denominator === 0n) {
+            return null
+        }
+
+        const divisor = gcd(numerator, denominator)
+        const sign = denominator < 0n ? -1n : 1n
+        const p = sign * numerator / divisor
+        const q = sign * denominator / divisor
+
+        return q === 1n ? p.toString() : `${p}/${q}`
+    },
+    pair: (value) => {
+        const numbers = parseIntegers(value)
+
+        if (!numbers || numbers.length !== 2) {
+            return null
+        }
+
+        return `(${numbers.join(',')})`
+    },
+    set: (value) => {
+        const numbers = parseIntegers(value)
+
+        if (!numbers) {
+            return null
+        }
+
+        const unique = [...new Set(numbers.map(n => n.toString()))]
+            .map(n => BigInt(n))
+            .sort((a, b) => (a < b ? -1 : (a > b ? 1 : 0)))
+
+        return `{${unique.join(',')}}`
+    }
+}
+
+export const DEFAULT_ANSWER_TYPE = 'integer'
+
+export const getAnswerTypes = () => Object.keys(answerTypes)
+
+export const normalizeAnswer = (type, value) => {
+    const normalize = answerTypes[type || DEFAULT_ANSWER_TYPE]
+
+    if (!normalize || value === null || value === undefined) {
+        return null
+    }
+
+    return normalize(value)
+}
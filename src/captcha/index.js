@@ -1,32 +1,110 @@
-import limit from "./limit"
-import logarithm from "./logarithm"
-import integral from "./integral"
-import calculus from "./calculus"
-import series from "./series"
-import summation from "./summation"
+const fs = require('fs')
+const path = require('path')
+
+import {
+    getAnswerTypes
+} from "./answers"
 import {
-    outputLog
+    DEFAULT_LANGUAGE
+} from "./instructions"
+import {
+    outputLog,
+    outputWarning
 } from "../utils/console"
 
-const tasksObject = {
-    [limit.name]: limit.tasks,
-    [logarithm.name]: logarithm.tasks,
-    [integral.name]: integral.tasks,
-    [calculus.name]: calculus.tasks,
-    [series.name]: series.tasks,
-    [summation.name]: summation.tasks
-}
+//  Every module in the tasks directory exports a family {name, tasks} as default or CommonJS export,
+//  the directory can be changed with CAPTCHA_TASKS_DIR
+const DEFAULT_TASKS_DIR = path.join(__dirname, 'tasks')
+
+const TASK_FUNCTIONS = ['generate', 'math', 'answer']
 
 const tasks = []
 
+const tasksDir = () => process.env.CAPTCHA_TASKS_DIR
+    ? path.resolve(process.env.CAPTCHA_TASKS_DIR)
+    : DEFAULT_TASKS_DIR
+
+//  Returns the reason the task can not be loaded or null
+const taskError = (task) => {
+    if (!task || !Number.isInteger(task.id)) {
+        return 'id is not an integer'
+    }
+
+    if (!Number.isInteger(task.difficulty) || task.difficulty < 1) {
+        return 'difficulty is not a positive integer'
+    }
+
+    const missing = TASK_FUNCTIONS.filter(f => typeof task[f] !== 'function')
+
+    if (missing.length) {
+        return `${missing.join(', ')} must be functions`
+    }
+
+    if (task.answerType && !getAnswerTypes().includes(task.answerType)) {
+        return `unknown answer type '${task.answerType}'`
+    }
+
+    if (task.instructions && typeof task.instructions[DEFAULT_LANGUAGE] !== 'string') {
+        return `instructions must have '${DEFAULT_LANGUAGE}' text`
+    }
+
+    return null
+}
+
+//  Modules are required again on every load, so changed files are picked up without restart
+const requireFamily = (file) => {
+    delete require.cache[require.resolve(file)]
+
+    const exported = require(file)
+
+    return exported && exported.default ? exported.default : exported
+}
+
 export const loadTasks = () => {
-    for (let [groupName, groupTasks] of Object.entries(tasksObject)) {
-        groupTasks.forEach(async (t) => {
-            await tasks.push(Object.assign({name: groupName}, t))
-        })
+    const dir = tasksDir()
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort()
+    const loaded = []
+
+    for (let file of files) {
+        let family = null
+
+        try {
+            family = requireFamily(path.join(dir, file))
+        } catch (error) {
+            outputWarning(`Captcha module '${file}' was skipped: ${error.message}`)
+            continue
+        }
+
+        if (!family || typeof family.name !== 'string' || !family.name || !Array.isArray(family.tasks)) {
+            outputWarning(`Captcha module '${file}' was skipped: it must export name and tasks`)
+            continue
+        }
+
+        if (loaded.some(t => t.name === family.name)) {
+            outputWarning(`Captcha module '${file}' was skipped: family '${family.name}' is already loaded`)
+            continue
+        }
+
+        for (let task of family.tasks) {
+            const error = taskError(task)
+            const title = `${family.name}:${task && task.id}`
+
+            if (error) {
+                outputWarning(`Captcha task '${title}' was skipped: ${error}`)
+            } else if (loaded.some(t => t.name === family.name && t.id === task.id)) {
+                outputWarning(`Captcha task '${title}' was skipped: duplicate id`)
+            } else {
+                loaded.push(Object.assign({name: family.name}, task))
+            }
+        }
     }
 
-    outputLog('Captcha tasks was loaded')
+    //  The list is replaced only after the whole directory was read
+    tasks.splice(0, tasks.length, ...loaded)
+
+    outputLog(`Captcha tasks was loaded: ${tasks.length} tasks from ${dir}`)
+
+    return tasks
 }
 
 export const getTasks = () => tasks
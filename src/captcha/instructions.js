@@ -0,0 +1,41 @@
+import {
+    DEFAULT_ANSWER_TYPE
+} from "./answers"
+
+//  Languages of challenge instructions, the first one is used when Accept-Language matches none
+export const LANGUAGES = ['en', 'ru']
+export const DEFAULT_LANGUAGE = LANGUAGES[0]
+
+//  Generic instructions of answer types, tasks with own conventions define `instructions` themselves
+const answerInstructions = {
+    integer: {
+        en: 'Compute the expression and enter the result as an integer.',
+        ru: 'Вычислите выражение и введите результат целым числом.'
+    },
+    rational: {
+        en: 'Compute the expression and enter the result as an irreducible fraction p/q or an integer.',
+        ru: 'Вычислите выражение и введите результат несократимой дробью p/q или целым числом.'
+    },
+    pair: {
+        en: 'Enter the result as two integers separated by a comma, e.g. (1, -2).',
+        ru: 'Введите результат двумя целыми числами через запятую, например (1, -2).'
+    },
+    set: {
+        en: 'Enter all values as integers separated by commas, in any order.',
+        ru: 'Введите все значения целыми числами через запятую в любом порядке.'
+    }
+}
+
+const powInstructions = {
+    en: (bits) => `Find a string answer such that the SHA-256 hash of "<challenge>:<answer>" starts with ${bits} zero bits.`,
+    ru: (bits) => `Найдите строку answer, для которой хеш SHA-256 от "<challenge>:<answer>" начинается с ${bits} нулевых битов.`
+}
+
+const translate = (texts, language) => texts[language] || texts[DEFAULT_LANGUAGE]
+
+export const taskInstruction = (task, language) => translate(
+    task.instructions || answerInstructions[task.answerType || DEFAULT_ANSWER_TYPE],
+    language
+)
+
+export const powInstruction = (bits, language) => translate(powInstructions, language)(bits)
@@ -0,0 +1,106 @@
+//  Numerical helpers for checking closed-form answers of captcha tasks
+
+const LIMIT_STEP = 1e-2
+const LIMIT_LEVELS = 8
+const INTEGRAL_EPSILON = 1e-10
+const INTEGRAL_DEPTH = 40
+const OSCILLATION_PERIODS = 400
+const OSCILLATION_AVERAGING = 30
+
+//  Limit of f(t) as t -> 0+ by Richardson extrapolation of f(h), f(h/2), f(h/4), ...
+export const limit = (f, step = LIMIT_STEP, levels = LIMIT_LEVELS) => {
+    let previous = []
+
+    for (let i = 0; i < levels; i++) {
+        const current = [f(step / Math.pow(2, i))]
+
+        for (let j = 1; j <= i; j++) {
+            const factor = Math.pow(2, j) - 1
+
+            current.push(current[j - 1] + (current[j - 1] - previous[j - 1]) / factor)
+        }
+
+        previous = current
+    }
+
+    return previous[previous.length - 1]
+}
+
+const simpson = (f, a, fa, b, fb) => {
+    const m = (a + b) / 2
+    const fm = f(m)
+
+    return [m, fm, (b - a) / 6 * (fa + 4 * fm + fb)]
+}
+
+const adaptiveSimpson = (f, a, fa, b, fb, m, fm, whole, epsilon, depth) => {
+    const [lm, flm, left] = simpson(f, a, fa, m, fm)
+    const [rm, frm, right] = simpson(f, m, fm, b, fb)
+    const delta = left + right - whole
+
+    if (depth <= 0 || Math.abs(delta) <= 15 * epsilon) {
+        return left + right + delta / 15
+    }
+
+    return adaptiveSimpson(f, a, fa, m, fm, lm, flm, left, epsilon / 2, depth - 1) +
+        adaptiveSimpson(f, m, fm, b, fb, rm, frm, right, epsilon / 2, depth - 1)
+}
+
+//  Definite integral over [a, b], endpoints are moved inside to skip removable singularities
+export const integrate = (f, a, b, epsilon = INTEGRAL_EPSILON) => {
+    const shift = (b - a) * 1e-12
+    const start = a + shift
+    const end = b - shift
+    const fa = f(start)
+    const fb = f(end)
+    const [m, fm, whole] = simpson(f, start, fa, end, fb)
+
+    return adaptiveSimpson(f, start, fa, end, fb, m, fm, whole, epsilon, INTEGRAL_DEPTH)
+}
+
+//  Integral over [a, +infinity) with substitution x = a + t / (1 - t)
+export const integrateToInfinity = (f, a, epsilon = INTEGRAL_EPSILON) => integrate((t) => {
+    const x = a + t / (1 - t)
+
+    return f(x) / ((1 - t) * (1 - t))
+}, 0, 1, epsilon)
+
+//  Integral over [0, +infinity) of a function oscillating with the given half period,
+//  partial sums over half periods are accelerated by repeated averaging
+export const integrateOscillating = (f, halfPeriod, periods = OSCILLATION_PERIODS) => {
+    let sums = []
+    let total = 0
+
+    for (let k = 0; k < periods; k++) {
+        total += integrate(f, k * halfPeriod, (k + 1) * halfPeriod)
+        sums.push(total)
+    }
+
+    for (let i = 0; i < OSCILLATION_AVERAGING; i++) {
+        sums = sums.slice(1).map((s, j) => (s + sums[j]) / 2)
+    }
+
+    return sums[sums.length - 1]
+}
+
+//  Finite sum of f(k) for k from start to end
+export const sum = (f, start, end) => {
+    let total = 0
+
+    for (let k = start; k <= end; k++) {
+        total += f(k)
+    }
+
+    return total
+}
+
+//  Exact finite sum of BigInt terms f(k) for k from start to end
+export const exactSum = (f, start, end) => {
+    let total = 0n
+
+    for (let k = start; k <= end; k++) {
+        total += f(k)
+    }
+
+    return total
+}
@@ -0,0 +1,50 @@
+const crypto = require('crypto')
+
+//  Hashcash-style proof of work: find an answer such that sha256("<challenge>:<answer>")
+//  starts with the given number of zero bits
+export const POW_ALGORITHM = 'sha256'
+
+//  Default number of leading zero bits, every bit doubles the expected work
+export const POW_DEFAULT_BITS = 20
+const POW_MAX_BITS = 32
+
+//  Longer answers are rejected without hashing
+const POW_MAX_ANSWER_LENGTH = 64
+
+export const powBits = () => {
+    const bits = parseInt(process.env.CAPTCHA_POW_BITS) || POW_DEFAULT_BITS
+
+    return Math.min(Math.max(bits, 1), POW_MAX_BITS)
+}
+
+export const createPow = (bits) => ({
+    challenge: crypto.randomBytes(16).toString('hex'),
+    bits
+})
+
+const leadingZeroBits = (buffer) => {
+    let bits = 0
+
+    for (let byte of buffer) {
+        if (byte === 0) {
+            bits += 8
+            continue
+        }
+
+        return bits + Math.clz32(byte) - 24
+    }
+
+    return bits
+}
+
+export const verifyPow = ({challenge, bits}, answer) => {
+    const text = String(answer === null || answer === undefined ? '' : answer)
+
+    if (!text.length || text.length > POW_MAX_ANSWER_LENGTH) {
+        return false
+    }
+
+    const hash = crypto.createHash(POW_ALGORITHM).update(`${challenge}:${text}`).digest()
+
+    return leadingZeroBits(hash) >= bits
+}
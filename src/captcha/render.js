@@ -0,0 +1,65 @@
+const {mathjax} = require('mathjax-full/js/mathjax.js')
+const {TeX} = require('mathjax-full/js/input/tex.js')
+const {SVG} = require('mathjax-full/js/output/svg.js')
+const {liteAdaptor} = require('mathjax-full/js/adaptors/liteAdaptor.js')
+const {RegisterHTMLHandler} = require('mathjax-full/js/handlers/html.js')
+const {AllPackages} = require('mathjax-full/js/input/tex/AllPackages.js')
+
+//  Output formats of captcha challenges, LaTeX stays available for accessibility clients
+export const RENDER_FORMATS = ['latex', 'svg']
+export const DEFAULT_RENDER_FORMAT = 'latex'
+
+//  Maximal shift of glyph outline coordinates, in 1/1000 em
+const NOISE_JITTER = 5
+const NOISE_CURVES = 6
+const NOISE_DOTS = 40
+
+const adaptor = liteAdaptor()
+
+RegisterHTMLHandler(adaptor)
+
+//  Without font cache every glyph is an inline path, so the image does not depend on client fonts
+const texDocument = mathjax.document('', {
+    InputJax: new TeX({packages: AllPackages}),
+    OutputJax: new SVG({fontCache: 'none'})
+})
+
+const randomFloat = (min, max) => min + Math.random() * (max - min)
+
+//  Glyph outlines are moved a little, so they can not be matched against the font as is
+const jitterPaths = (svg) => svg.replace(/ d="([^"]*)"/g, (match, d) => {
+    const path = d.replace(/-?\d+(\.\d+)?/g, n => (parseFloat(n) + randomFloat(-NOISE_JITTER, NOISE_JITTER)).toFixed(1))
+
+    return ` d="${path}"`
+})
+
+//  Random curves and dots over the whole image, coordinates are taken from its view box
+const noiseLayer = (viewBox) => {
+    const [x, y, width, height] = viewBox.split(' ').map(parseFloat)
+    const point = () => `${randomFloat(x, x + width).toFixed(0)} ${randomFloat(y, y + height).toFixed(0)}`
+    const curves = Array.from({length: NOISE_CURVES}, () =>
+        `<path d="M${point()} Q${point()} ${point()}" fill="none" stroke="currentColor" stroke-width="${randomFloat(15, 40).toFixed(0)}" opacity="0.35"></path>`)
+    const dots = Array.from({length: NOISE_DOTS}, () => {
+        const [cx, cy] = point().split(' ')
+
+        return `<circle cx="${cx}" cy="${cy}" r="${randomFloat(10, 30).toFixed(0)}" fill="currentColor" opacity="0.3"></circle>`
+    })
+
+    return `<g>${curves.join('')}${dots.join('')}</g>`
+}
+
+//  Render LaTeX expression to a standalone SVG image, data attributes with source characters are removed
+export const renderSvg = (math, noise = false) => {
+    const svg = adaptor.innerHTML(texDocument.convert(math, {display: true}))
+        .replace(/ data-[a-z-]+="[^"]*"/g, '')
+
+    if (!noise) {
+        return svg
+    }
+
+    const viewBox = (svg.match(/viewBox="([^"]*)"/) || [])[1]
+
+    return jitterPaths(svg).replace(/<\/svg>$/, `${viewBox ? noiseLayer(viewBox) : ''}</svg>`)
+}
+
+export const svgDataUri = (svg) => `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`
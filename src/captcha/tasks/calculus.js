@@ -1,4 +1,4 @@
-const {randomInt} = require('../utils/math')
+const {randomInt} = require('../../utils/math')
 
 export default  {
     name: 'calculus',
@@ -13,7 +13,8 @@ export default  {
                 return [a, b]
             },
             math: (a, b) => String.raw`${a - b} \cdot \Bigg ( \frac{\sqrt{${a}}}{\sqrt{${a}} + \sqrt{${b}}} + \frac{\sqrt{${b}}}{\sqrt{${a}} - \sqrt{${b}}} \Bigg )`,
-            answer: (a, b) => a + b
+            answer: (a, b) => a + b,
+            numeric: (a, b) => (a - b) * (Math.sqrt(a) / (Math.sqrt(a) + Math.sqrt(b)) + Math.sqrt(b) / (Math.sqrt(a) - Math.sqrt(b)))
         }
     ]
 }
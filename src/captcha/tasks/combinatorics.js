@@ -0,0 +1,168 @@
+const {randomInt, binomial, factorial, power} = require('../../utils/math')
+const {exactSum} = require('../numeric')
+
+//  Table of numbers defined by a triangular recurrence, row n holds values for k = 0..n
+const triangle = (n, next) => {
+    let row = [1n]
+
+    for (let i = 1; i <= n; i++) {
+        const previous = row
+
+        row = Array.from({length: i + 1}, (_, k) => next(i, k, previous[k] || 0n, previous[k - 1] || 0n))
+    }
+
+    return row
+}
+
+const stirlingSecond = (n, k) => triangle(n, (i, j, same, lower) => BigInt(j) * same + lower)[k]
+
+const stirlingFirst = (n, k) => triangle(n, (i, j, same, lower) => BigInt(i - 1) * same + lower)[k]
+
+const derangements = (n) => {
+    let [a, b] = [1n, 0n]
+
+    for (let i = 2; i <= n; i++) {
+        const c = BigInt(i - 1) * (a + b)
+
+        a = b
+        b = c
+    }
+
+    return n === 0 ? 1n : b
+}
+
+const sign = (k) => (k % 2 === 0 ? 1n : -1n)
+
+export default {
+    name: 'combinatorics',
+    tasks: [
+        {
+            id: 1,
+            difficulty: 1,
+            generate: () => {
+                const n = randomInt(8, 40)
+
+                return [n]
+            },
+            math: (n) => String.raw`{${2 * n} \choose ${n}} - {${2 * n} \choose ${n + 1}}`,
+            //  Catalan number
+            answer: (n) => binomial(2 * n, n) / BigInt(n + 1),
+            numeric: (n) => binomial(2 * n, n) - binomial(2 * n, n + 1)
+        },
+        {
+            id: 2,
+            difficulty: 2,
+            instructions: {
+                en: '!n is the number of derangements of n elements (subfactorial). Enter it as an integer.',
+                ru: '!n — число беспорядков из n элементов (субфакториал). Введите его целым числом.'
+            },
+            generate: () => {
+                const n = randomInt(5, 25)
+
+                return [n]
+            },
+            math: (n) => String.raw`!${n}`,
+            answer: (n) => derangements(n),
+            //  Inclusion-exclusion, n! / k! is exact
+            numeric: (n) => exactSum(k => sign(k) * factorial(n) / factorial(k), 0, n)
+        },
+        {
+            id: 3,
+            difficulty: 2,
+            instructions: {
+                en: '{n k} is the Stirling number of the second kind. Enter it as an integer.',
+                ru: '{n k} — число Стирлинга второго рода. Введите его целым числом.'
+            },
+            generate: () => {
+                const n = randomInt(5, 14)
+                const k = randomInt(2, n - 1)
+
+                return [n, k]
+            },
+            math: (n, k) => String.raw`\left\{ {${n} \atop ${k}} \right\}`,
+            answer: (n, k) => stirlingSecond(n, k),
+            numeric: (n, k) => exactSum(j => sign(j) * binomial(k, j) * power(k - j, n), 0, k) / factorial(k)
+        },
+        {
+            id: 4,
+            difficulty: 3,
+            instructions: {
+                en: '[n k] is the unsigned Stirling number of the first kind. Enter it as an integer.',
+                ru: '[n k] — число Стирлинга первого рода без знака. Введите его целым числом.'
+            },
+            generate: () => {
+                const n = randomInt(5, 12)
+                const k = randomInt(2, n - 1)
+
+                return [n, k]
+            },
+            math: (n, k) => String.raw`\left[ {${n} \atop ${k}} \right]`,
+            answer: (n, k) => stirlingFirst(n, k),
+            //  Coefficient of x^k in the rising factorial x (x + 1) ... (x + n - 1)
+            numeric: (n, k) => {
+                let coefficients = [1n]
+
+                for (let i = 0; i < n; i++) {
+                    coefficients = [0n, ...coefficients].map((c, j) => c + BigInt(i) * (coefficients[j] || 0n))
+                }
+
+                return coefficients[k]
+            }
+        },
+        {
+            id: 5,
+            difficulty: 2,
+            generate: () => {
+                const a = randomInt(5, 12)
+                const b = randomInt(5, 12)
+                const c = randomInt(1, a - 1)
+                const d = randomInt(1, b - 1)
+
+                return [a, b, c, d]
+            },
+            math: (a, b, c, d) => String.raw`\# \Big \{ (0, 0) \to (${a}, ${b}) \text{ by steps } (1, 0), (0, 1) \text{ avoiding } (${c}, ${d}) \Big \}`,
+            answer: (a, b, c, d) => binomial(a + b, a) - binomial(c + d, c) * binomial(a - c + b - d, a - c),
+            numeric: (a, b, c, d) => {
+                const paths = Array.from({length: a + 1}, () => Array(b + 1).fill(0n))
+
+                for (let x = 0; x <= a; x++) {
+                    for (let y = 0; y <= b; y++) {
+                        if (x === c && y === d) {
+                            paths[x][y] = 0n
+                        } else if (x === 0 && y === 0) {
+                            paths[x][y] = 1n
+                        } else {
+                            paths[x][y] = (x ? paths[x - 1][y] : 0n) + (y ? paths[x][y - 1] : 0n)
+                        }
+                    }
+                }
+
+                return paths[a][b]
+            }
+        },
+        {
+            id: 6,
+            difficulty: 3,
+            generate: () => {
+                const n = randomInt(3, 9)
+                const k = randomInt(3, 7)
+
+                return [n, k]
+            },
+            //  Expected number of distinct values among k rolls of an n-sided die is n (1 - ((n - 1) / n)^k),
+            //  scaled by n^(k - 1) it becomes an integer
+            math: (n, k) => String.raw`${n}^{${k - 1}} \cdot \mathbb{E} \, \Big | \{ X_1, \ldots, X_{${k}} \} \Big |, \quad X_i \sim U \{ 1, \ldots, ${n} \} \text{ independent}`,
+            answer: (n, k) => power(n, k) - power(n - 1, k),
+            //  Count sequences by the number of distinct values they contain
+            numeric: (n, k) => {
+                let counts = [1n]
+
+                for (let t = 0; t < k; t++) {
+                    counts = [...counts, 0n].map((c, d) => c * BigInt(d) + (d ? counts[d - 1] * BigInt(n - d + 1) : 0n))
+                }
+
+                return counts.reduce((s, c, d) => s + c * BigInt(d), 0n) / BigInt(n)
+            }
+        }
+    ]
+}
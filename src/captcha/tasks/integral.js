@@ -1,4 +1,5 @@
-const {randomInt} = require('../utils/math')
+const {randomInt} = require('../../utils/math')
+const {limit, integrate, integrateToInfinity, integrateOscillating} = require('../numeric')
 
 export default {
     name: 'integral',
@@ -16,7 +17,8 @@ export default {
 
                 return String.raw`\lim_{\alpha \to 0} \int\limits_{0}^{${p}} x^2 \cos \alpha x \; d{x}`
             },
-            answer: (m) => 9 * Math.pow(m, 3)
+            answer: (m) => 9 * Math.pow(m, 3),
+            numeric: (m) => limit(alpha => integrate(x => x * x * Math.cos(alpha * x), 0, 3 * m))
         },
         {
             id: 2,
@@ -33,11 +35,21 @@ export default {
 
                 return String.raw`\exp \Bigg ( {\frac{1}{\pi} \int\limits_{0}^{\pi/2} \ln (${a}^2 \sin^2 x \; + \; ${b}^2 \cos^2 x) \; {d}x} \Bigg )`
             },
-            answer: (m, n) => m + n
+            answer: (m, n) => m + n,
+            numeric: (m, n) => {
+                const a = 2 * m
+                const b = 2 * n
+
+                return Math.exp(integrate(x => Math.log(a * a * Math.pow(Math.sin(x), 2) + b * b * Math.pow(Math.cos(x), 2)), 0, Math.PI / 2) / Math.PI)
+            }
         },
         {
             id: 3,
             difficulty: 2,
+            instructions: {
+                en: 'Compute the value and enter it as an integer, a non-integer value is rounded down.',
+                ru: 'Вычислите значение и введите его целым числом, нецелое значение округляется вниз.'
+            },
             generate: () => {
                 const a = randomInt(1, 11)
                 const b = a * randomInt(2, 83)
@@ -47,7 +59,8 @@ export default {
             math: (a, b) => {
                 return String.raw`\exp \Bigg ( \int\limits_{0}^{\infty} \frac{\exp (-${a} x) - \exp (-${b} x)}{x} \; {d}x \Bigg )`
             },
-            answer: (a, b) => Math.floor(b / a)
+            answer: (a, b) => Math.floor(b / a),
+            numeric: (a, b) => Math.exp(integrateToInfinity(x => (Math.exp(-a * x) - Math.exp(-b * x)) / x, 0))
         },
         {
             id: 4,
@@ -58,7 +71,11 @@ export default {
                 return [a]
             },
             math: (a) => String.raw`\ln \Bigg ( \frac{2}{\pi} \int\limits_{0}^{+\infty} \frac{\cos ${a}x}{1 + x^2} \; dx \Bigg )`,
-            answer: (a) => (-1) * a
+            answer: (a) => (-1) * a,
+            //  The integral equals pi/2 * e^(-a) and vanishes below quadrature precision for large a,
+            //  so the verification command samples only small a
+            sample: () => [randomInt(1, 12)],
+            numeric: (a) => a > 12 ? NaN : Math.log(2 / Math.PI * integrateOscillating(x => Math.cos(a * x) / (1 + x * x), Math.PI / a))
         },
         {
             id: 5,
@@ -73,7 +90,8 @@ export default {
 
                 return String.raw`\frac{32}{\pi} \int\limits_{0}^{${a}} x^2 \sqrt{${square} - x^2} \; dx`
             },
-            answer: (a) => 2 * Math.pow(a, 4)
+            answer: (a) => 2 * Math.pow(a, 4),
+            numeric: (a) => 32 / Math.PI * integrate(x => x * x * Math.sqrt(a * a - x * x), 0, a)
         }
     ]
 }
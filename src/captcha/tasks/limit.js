@@ -0,0 +1,69 @@
+const {randomInt} = require('../../utils/math')
+const {limit} = require('../numeric')
+
+export default {
+    name: 'limit',
+    tasks: [
+        {
+            id: 1,
+            difficulty: 1,
+            instructions: {
+                en: 'Compute the limit and enter it as an integer, a non-integer value is rounded down.',
+                ru: 'Вычислите предел и введите его целым числом, нецелое значение округляется вниз.'
+            },
+            generate: () => {
+                const m = randomInt(2, 1024)
+                const n = m * randomInt(1, 4)
+
+                return [m, n]
+            },
+            math: (m, n) => String.raw`\lim_{x \to 1} \frac{\sqrt[${m}]{x} - 1}{\sqrt[${n}]{x} - 1}`,
+            answer: (m, n) => Math.floor(n / m),
+            numeric: (m, n) => limit(t => Math.expm1(Math.log1p(t) / m) / Math.expm1(Math.log1p(t) / n))
+        },
+        {
+            id: 2,
+            difficulty: 2,
+            generate: () => {
+                const b = randomInt(1, 99)
+                const a = b + randomInt(1, 73)
+
+                return [a, b]
+            },
+            math: (a, b) => {
+                const m = 3 * a * b
+
+                return String.raw`${m} \cdot \lim_{x \to 0} \frac{1}{x \sqrt{x}} \Bigg ( \sqrt{${a}} \arctan \sqrt{\frac{x}{${a}}} - \sqrt{${b}} \arctan \sqrt{\frac{x}{${b}}} \; \Bigg )`
+            },
+            answer: (a, b) => a - b,
+            numeric: (a, b) => 3 * a * b * limit(x => (Math.sqrt(a) * Math.atan(Math.sqrt(x / a)) - Math.sqrt(b) * Math.atan(Math.sqrt(x / b))) / (x * Math.sqrt(x)))
+        },
+        {
+            id: 3,
+            difficulty: 2,
+            generate: () => {
+                const b = randomInt(1, 12)
+                const a = b + randomInt(1, 9)
+
+                return [a, b]
+            },
+            math: (a, b) => String.raw`2 \ln \lim_{x \to 0} \Bigg ( \frac{1 + \sin x \cos ${a} x}{1 + \sin x \cos ${b} x} \Bigg )^{\cot^3 x}`,
+            answer: (a, b) => Math.pow(b, 2) - Math.pow(a, 2),
+            numeric: (a, b) => 2 * limit(x => (Math.log1p(Math.sin(x) * Math.cos(a * x)) - Math.log1p(Math.sin(x) * Math.cos(b * x))) / Math.pow(Math.tan(x), 3))
+        },
+        {
+            id: 4,
+            difficulty: 2,
+            generate: () => {
+                const a = randomInt(3, 41)
+                const b = randomInt(1, 23)
+                const c = randomInt(7, 37)
+
+                return [a, b, c]
+            },
+            math: (a, b, c) => String.raw`\Bigg ( \lim_{x \to 0} \Bigg ( \frac{${a}^x + ${b}^x + ${c}^x}{3} \Bigg )^{\frac{1}{x}} \Bigg )^3`,
+            answer: (a, b, c) => a * b * c,
+            numeric: (a, b, c) => Math.exp(3 * limit(x => Math.log((Math.pow(a, x) + Math.pow(b, x) + Math.pow(c, x)) / 3) / x))
+        }
+    ]
+}
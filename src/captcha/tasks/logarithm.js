@@ -1,4 +1,4 @@
-const {randomInt} = require('../utils/math')
+const {randomInt} = require('../../utils/math')
 
 export default {
     name: 'logarithm',
@@ -19,7 +19,15 @@ export default {
 
                 return String.raw`${m + n} \cdot \Bigg( \frac{\log_{${m}} ${n}}{\log_{${n}} ${m}} - \frac{\log_{${m}} ${t}}{\log_{${k}} ${m}} \Bigg )`
             },
-            answer: (p, m) => m * (1 + Math.pow(p, 2))
+            answer: (p, m) => m * (1 + Math.pow(p, 2)),
+            numeric: (p, m) => {
+                const log = (base, x) => Math.log(x) / Math.log(base)
+                const k = Math.pow(p, 2)
+                const n = m * k
+                const t = Math.pow(p * m, 2)
+
+                return (m + n) * (log(m, n) / log(n, m) - log(m, t) / log(k, m))
+            }
         }
     ]
 }
@@ -0,0 +1,191 @@
+const {randomInt} = require('../../utils/math')
+
+//  Matrices are arrays of rows with small integer entries, every task keeps the factors
+//  the matrix is built from, so the answer follows from the structure and not from elimination
+
+const identity = (n) => Array.from({length: n}, (_, i) => Array.from({length: n}, (_, j) => (i === j ? 1 : 0)))
+
+const multiply = (a, b) => a.map(row => b[0].map((_, j) => row.reduce((s, v, k) => s + v * b[k][j], 0)))
+
+const randomNonZero = (spread) => (randomInt(0, 1) ? 1 : -1) * randomInt(1, spread)
+
+const shuffle = (values) => {
+    const items = [...values]
+
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = randomInt(0, i)
+        const item = items[i]
+
+        items[i] = items[j]
+        items[j] = item
+    }
+
+    return items
+}
+
+const range = (min, max) => Array.from({length: max - min + 1}, (_, i) => min + i)
+
+const permutationSign = (permutation) => {
+    let sign = 1
+
+    permutation.forEach((p, i) => permutation.slice(i + 1).forEach(q => {
+        if (q < p) {
+            sign = -sign
+        }
+    }))
+
+    return sign
+}
+
+const triangular = (n, spread, diagonal, lower) => Array.from({length: n}, (_, i) => Array.from({length: n}, (_, j) => {
+    if (i === j) {
+        return diagonal()
+    }
+
+    return (lower ? j < i : j > i) ? randomInt(-spread, spread) : 0
+}))
+
+//  Row permutation of L * U, the determinant is the permutation sign times the diagonal of U
+const permutedTriangular = (permutation, lower, upper) => {
+    const product = multiply(lower, upper)
+
+    return permutation.map(i => product[i])
+}
+
+const transpose = (m) => m[0].map((_, j) => m.map(row => row[j]))
+
+//  Forward substitution keeps the inverse of a unit lower triangular matrix integer
+const invertLower = (lower) => lower.reduce((inverse, row, i) => [
+    ...inverse,
+    row.map((_, j) => (i === j ? 1 : 0) - inverse.reduce((s, r, k) => s + row[k] * r[j], 0))
+], [])
+
+const unitFactors = (n, spread) => [triangular(n, spread, () => 1, true), triangular(n, spread, () => 1, false)]
+
+//  S * D * S^-1 with D = diag(eigenvalues) and S = L * U of determinant 1
+const similar = (eigenvalues, lower, upper) => {
+    const diagonal = identity(eigenvalues.length).map((row, i) => row.map(v => v * eigenvalues[i]))
+    const inverse = multiply(transpose(invertLower(transpose(upper))), invertLower(lower))
+
+    return multiply(multiply(multiply(lower, upper), diagonal), inverse)
+}
+
+//  First columns of S times first rows of T, both S and T are invertible, so the rank is exact
+const lowRank = (r, left, right) => multiply(
+    multiply(...left).map(row => row.slice(0, r)),
+    multiply(...right).slice(0, r)
+)
+
+const pmatrix = (m) => String.raw`\begin{pmatrix} ${m.map(row => row.join(' & ')).join(String.raw` \\ `)} \end{pmatrix}`
+
+//  Independent evaluation for the verification command: cofactor expansion and fraction-free elimination
+
+const minor = (m, row, col) => m
+    .filter((_, i) => i !== row)
+    .map(r => r.filter((_, j) => j !== col))
+
+const determinant = (m) => m.length === 1
+    ? m[0][0]
+    : m[0].reduce((s, v, j) => s + (j % 2 ? -1 : 1) * v * determinant(minor(m, 0, j)), 0)
+
+const rank = (m) => {
+    const rows = m.map(row => row.map(v => BigInt(v)))
+    let r = 0
+
+    for (let c = 0; c < rows[0].length && r < rows.length; c++) {
+        const p = rows.findIndex((row, i) => i >= r && row[c] !== 0n)
+
+        if (p < 0) {
+            continue
+        }
+
+        const pivot = rows[p]
+
+        rows[p] = rows[r]
+        rows[r] = pivot
+
+        for (let i = r + 1; i < rows.length; i++) {
+            rows[i] = rows[i].map((v, k) => v * pivot[c] - pivot[k] * rows[i][c])
+        }
+
+        r++
+    }
+
+    return r
+}
+
+//  Integer eigenvalues are integer roots of det(A - xI), all of them lie within the largest row sum
+const integerEigenvalues = (m) => {
+    const bound = Math.max(...m.map(row => row.reduce((s, v) => s + Math.abs(v), 0)))
+
+    return range(-bound, bound).filter(x => determinant(m.map((row, i) => row.map((v, j) => (i === j ? v - x : v)))) === 0)
+}
+
+const determinantTask = (id, difficulty, n) => ({
+    id,
+    difficulty,
+    generate: () => {
+        const permutation = shuffle(range(0, n - 1))
+        const lower = triangular(n, 2, () => 1, true)
+        const upper = triangular(n, 3, () => randomNonZero(3), false)
+
+        return [permutation, lower, upper]
+    },
+    math: (permutation, lower, upper) => String.raw`\det ${pmatrix(permutedTriangular(permutation, lower, upper))}`,
+    answer: (permutation, lower, upper) => upper.reduce((p, row, i) => p * row[i], permutationSign(permutation)),
+    numeric: (permutation, lower, upper) => determinant(permutedTriangular(permutation, lower, upper))
+})
+
+export default {
+    name: 'matrix',
+    tasks: [
+        determinantTask(1, 1, 3),
+        determinantTask(2, 2, 4),
+        {
+            id: 3,
+            difficulty: 2,
+            generate: () => {
+                const n = 4
+                const r = randomInt(1, n - 1)
+
+                return [r, unitFactors(n, 2), unitFactors(n, 2)]
+            },
+            math: (r, left, right) => String.raw`\operatorname{rank} ${pmatrix(lowRank(r, left, right))}`,
+            answer: (r) => r,
+            numeric: (r, left, right) => rank(lowRank(r, left, right))
+        },
+        {
+            id: 4,
+            difficulty: 3,
+            instructions: {
+                en: 'σ(A) is the set of eigenvalues of A. Enter all eigenvalues as integers separated by commas, in any order.',
+                ru: 'σ(A) — множество собственных значений матрицы A. Введите все собственные значения целыми числами через запятую в любом порядке.'
+            },
+            answerType: 'set',
+            generate: () => {
+                const eigenvalues = shuffle(range(-6, 6)).slice(0, 3)
+
+                return [eigenvalues, ...unitFactors(3, 1)]
+            },
+            math: (eigenvalues, lower, upper) => String.raw`\sigma ${pmatrix(similar(eigenvalues, lower, upper))}`,
+            answer: (eigenvalues) => eigenvalues,
+            numeric: (eigenvalues, lower, upper) => integerEigenvalues(similar(eigenvalues, lower, upper))
+        },
+        {
+            id: 5,
+            difficulty: 4,
+            generate: () => {
+                const eigenvalues = shuffle(range(-5, 5)).slice(0, 3)
+
+                return [eigenvalues, ...unitFactors(3, 1)]
+            },
+            math: (eigenvalues, lower, upper) => String.raw`\operatorname{tr} ${pmatrix(similar(eigenvalues, lower, upper))}^3`,
+            answer: (eigenvalues) => eigenvalues.reduce((s, x) => s + Math.pow(x, 3), 0),
+            numeric: (eigenvalues, lower, upper) => {
+                const m = similar(eigenvalues, lower, upper)
+
+                return multiply(multiply(m, m), m).reduce((s, row, i) => s + row[i], 0)
+            }
+        }
+    ]
+}
@@ -0,0 +1,251 @@
+const {randomInt, modPow, modInverse, gcd} = require('../../utils/math')
+
+const isPrime = (n) => {
+    if (n < 2) {
+        return false
+    }
+
+    for (let d = 2; d * d <= n; d++) {
+        if (n % d === 0) {
+            return false
+        }
+    }
+
+    return true
+}
+
+const primes = (min, max) => Array.from({length: max - min + 1}, (_, i) => min + i).filter(isPrime)
+
+const randomPrime = (min, max) => {
+    const list = primes(min, max)
+
+    return list[randomInt(0, list.length - 1)]
+}
+
+//  Distinct primes from the range in random order
+const randomPrimes = (count, min, max) => {
+    const list = primes(min, max)
+    const chosen = []
+
+    while (chosen.length < count) {
+        const p = list.splice(randomInt(0, list.length - 1), 1)[0]
+
+        chosen.push(p)
+    }
+
+    return chosen
+}
+
+const randomCoprime = (m, min, max) => {
+    let a = randomInt(min, max)
+
+    while (gcd(BigInt(a), BigInt(m)) !== 1n) {
+        a = randomInt(min, max)
+    }
+
+    return a
+}
+
+const factorsValue = (factors) => factors.reduce((n, [p, k]) => n * Math.pow(p, k), 1)
+
+//  Independent evaluation for the verification command by direct search
+
+const naivePow = (a, e, m) => {
+    let val = 1n
+
+    for (let i = 0; i < e; i++) {
+        val = val * BigInt(a) % BigInt(m)
+    }
+
+    return val
+}
+
+const firstMatch = (max, test) => {
+    for (let x = 0; x < max; x++) {
+        if (test(x)) {
+            return BigInt(x)
+        }
+    }
+
+    return null
+}
+
+//  Greatest divisor of n that also divides m, divisors of n are enumerated in pairs up to its square root
+const commonDivisor = (n, m) => {
+    let result = 1
+
+    for (let d = 1; d * d <= n; d++) {
+        if (n % d === 0) {
+            if (m % (n / d) === 0) {
+                return BigInt(n / d)
+            }
+
+            if (m % d === 0) {
+                result = d
+            }
+        }
+    }
+
+    return BigInt(result)
+}
+
+//  Jacobi symbol by quadratic reciprocity
+const jacobi = (a, n) => {
+    let x = a % n
+    let y = n
+    let sign = 1
+
+    while (x !== 0) {
+        while (x % 2 === 0) {
+            x /= 2
+
+            if (y % 8 === 3 || y % 8 === 5) {
+                sign = -sign
+            }
+        }
+
+        const t = x
+
+        x = y
+        y = t
+
+        if (x % 4 === 3 && y % 4 === 3) {
+            sign = -sign
+        }
+
+        x %= y
+    }
+
+    return y === 1 ? sign : 0
+}
+
+//  Legendre symbol by Euler's criterion
+const legendre = (a, p) => {
+    const value = modPow(a, (p - 1) / 2, p)
+
+    return value === BigInt(p - 1) ? -1n : value
+}
+
+export default {
+    name: 'number_theory',
+    tasks: [
+        {
+            id: 1,
+            difficulty: 1,
+            instructions: {
+                en: 'Enter the remainder as an integer from 0 to the modulus minus one.',
+                ru: 'Введите остаток целым числом от 0 до модуля минус один.'
+            },
+            generate: () => {
+                const m = randomPrime(11, 97)
+                const a = randomCoprime(m, 2, 999)
+                const e = randomInt(1000, 99999)
+
+                return [a, e, m]
+            },
+            math: (a, e, m) => String.raw`${a}^{${e}} \bmod ${m}`,
+            answer: (a, e, m) => modPow(a, e, m),
+            numeric: (a, e, m) => naivePow(a, e, m)
+        },
+        {
+            id: 2,
+            difficulty: 1,
+            instructions: {
+                en: 'Enter the inverse as an integer from 1 to the modulus minus one.',
+                ru: 'Введите обратный элемент целым числом от 1 до модуля минус один.'
+            },
+            generate: () => {
+                const m = randomInt(50, 999)
+                const a = randomCoprime(m, 2, m - 1)
+
+                return [a, m]
+            },
+            math: (a, m) => String.raw`${a}^{-1} \bmod ${m}`,
+            answer: (a, m) => modInverse(a, m),
+            numeric: (a, m) => firstMatch(m, x => (a * x) % m === 1)
+        },
+        {
+            id: 3,
+            difficulty: 2,
+            generate: () => {
+                let factors = []
+
+                //  Composites below 10^5 with two or three prime factors
+                do {
+                    factors = randomPrimes(randomInt(2, 3), 2, 31).map(p => [p, randomInt(1, 3)])
+                } while (factorsValue(factors) >= 100000)
+
+                return [factors]
+            },
+            math: (factors) => String.raw`\varphi(${factorsValue(factors)})`,
+            answer: (factors) => factors.reduce((phi, [p, k]) => phi * BigInt(p - 1) * BigInt(Math.pow(p, k - 1)), 1n),
+            numeric: (factors) => {
+                //  Factorization of the rendered number by trial division, phi(n) = n * prod (1 - 1/p)
+                let n = factorsValue(factors)
+                let phi = n
+
+                for (let p = 2; p <= n; p++) {
+                    if (n % p === 0) {
+                        phi = phi / p * (p - 1)
+
+                        while (n % p === 0) {
+                            n /= p
+                        }
+                    }
+                }
+
+                return BigInt(phi)
+            }
+        },
+        {
+            id: 4,
+            difficulty: 2,
+            generate: () => {
+                const moduli = randomPrimes(3, 3, 29)
+                const x = randomInt(0, moduli.reduce((m, p) => m * p, 1) - 1)
+
+                return [x, moduli]
+            },
+            math: (x, moduli) => {
+                const system = moduli.map(m => String.raw`x \equiv ${x % m} \pmod{${m}}`).join(String.raw` \\ `)
+
+                return String.raw`\min \Bigg \{ x \geq 0 : \begin{cases} ${system} \end{cases} \Bigg \}`
+            },
+            //  Moduli are distinct primes, so the solution is unique below their product
+            answer: (x) => BigInt(x),
+            numeric: (x, moduli) => firstMatch(moduli.reduce((m, p) => m * p, 1), y => moduli.every(m => y % m === x % m))
+        },
+        {
+            id: 5,
+            difficulty: 3,
+            instructions: {
+                en: '(a/p) is the Legendre symbol. Compute the sum and enter it as an integer.',
+                ru: '(a/p) — символ Лежандра. Вычислите сумму и введите её целым числом.'
+            },
+            generate: () => {
+                //  Weights 1, 2, 4, 8 make every combination of symbols give a different sum
+                return randomPrimes(4, 101, 997).map(p => [randomCoprime(p, 2, 9999), p])
+            },
+            math: (...symbols) => symbols
+                .map(([a, p], i) => String.raw`${i ? `${Math.pow(2, i)} ` : ''}\left( \frac{${a}}{${p}} \right)`)
+                .join(' + '),
+            answer: (...symbols) => symbols.reduce((s, [a, p], i) => s + BigInt(Math.pow(2, i)) * legendre(a, p), 0n),
+            numeric: (...symbols) => symbols.reduce((s, [a, p], i) => s + BigInt(Math.pow(2, i) * jacobi(a, p)), 0n)
+        },
+        {
+            id: 6,
+            difficulty: 1,
+            generate: () => {
+                //  Cofactors are coprime, so the common divisor is exactly g
+                const g = randomInt(101, 9999)
+                const u = randomInt(2, 9999)
+                const v = randomCoprime(u, 2, 9999)
+
+                return [g * u, g * v]
+            },
+            math: (a, b) => String.raw`\gcd(${a}, ${b})`,
+            answer: (a, b) => gcd(BigInt(a), BigInt(b)),
+            numeric: (a, b) => commonDivisor(Math.min(a, b), Math.max(a, b))
+        }
+    ]
+}
@@ -1,4 +1,5 @@
-const {randomInt, binomial} = require('../utils/math')
+const {randomInt, binomial, power} = require('../../utils/math')
+const {sum, exactSum} = require('../numeric')
 
 export default {
     name: 'series',
@@ -14,7 +15,10 @@ export default {
                 return [a, b, c]
             },
             math: (a, b, c) => String.raw`\sum\limits_{k = 0}^{${a}} {${a} \choose k} + \sum\limits_{k = 1}^{${b}} k {${b} \choose k} + \sum\limits_{k = 0}^{${c}} {${c} \choose k}^2`,
-            answer: (a, b, c) => Math.pow(2, a) + b * Math.pow(2, (b - 1)) + binomial(2 * c, c)
+            answer: (a, b, c) => power(2, a) + BigInt(b) * power(2, b - 1) + binomial(2 * c, c),
+            numeric: (a, b, c) => exactSum(k => binomial(a, k), 0, a) +
+                exactSum(k => BigInt(k) * binomial(b, k), 1, b) +
+                exactSum(k => binomial(c, k) * binomial(c, k), 0, c)
         },
         {
             id: 2,
@@ -25,7 +29,23 @@ export default {
                 return [n]
             },
             math: (n) => String.raw`\sum\limits_{k = 0}^{${n}} (-1)^{${n} - k} \, 2^{2 k} {${n} + k + 1 \choose 2k + 1}`,
-            answer: (n) => n + 1
+            answer: (n) => n + 1,
+            numeric: (n) => {
+                //  Powers and binomial coefficients are updated incrementally, C(n + k + 2, 2k + 3) from C(n + k + 1, 2k + 1)
+                let total = 0n
+                let base = 1n
+                let coefficient = BigInt(n + 1)
+
+                for (let k = 0; k <= n; k++) {
+                    const sign = (n - k) % 2 === 0 ? 1n : -1n
+
+                    total += sign * base * coefficient
+                    base *= 4n
+                    coefficient = coefficient * BigInt(n + k + 2) * BigInt(n - k) / BigInt((2 * k + 2) * (2 * k + 3))
+                }
+
+                return total
+            }
         },
         {
             id: 3,
@@ -41,11 +61,12 @@ export default {
                 if (k % 2 === 0) {
                     const half = Math.floor(k / 2)
 
-                    return Math.pow(-1, half) * binomial(n, half)
+                    return (half % 2 === 0 ? 1n : -1n) * binomial(n, half)
                 }
 
-                return 0
-            }
+                return 0n
+            },
+            numeric: (n, k) => exactSum(i => (i % 2 === 0 ? 1n : -1n) * binomial(n, k - i) * binomial(n, i), 0, k)
         },
         {
             id: 4,
@@ -60,9 +81,16 @@ export default {
                 const a = Math.pow(2, k)
                 const b = a + Math.pow(2, l)
 
-                return String.raw`\log_2 \Bigg( \sum\limits_{n=1}^{\infty} \Big ( \frac{${a}}{${b}} \Big )^2 \Bigg )`
+                return String.raw`\log_2 \Bigg( \sum\limits_{n=1}^{\infty} \Big ( \frac{${a}}{${b}} \Big )^n \Bigg )`
             },
-            answer: (k, l) => k - l
+            answer: (k, l) => k - l,
+            numeric: (k, l) => {
+                const a = Math.pow(2, k)
+                const b = a + Math.pow(2, l)
+
+                //  Geometric series with ratio below 8/9, the tail after 10^4 terms is negligible
+                return Math.log2(sum(n => Math.pow(a / b, n), 1, 1e4))
+            }
         }
     ]
 }
@@ -1,4 +1,5 @@
-const {randomInt} = require('../utils/math')
+const {randomInt, factorial} = require('../../utils/math')
+const {sum, exactSum} = require('../numeric')
 
 export default {
     name: 'summation',
@@ -12,7 +13,8 @@ export default {
                 return [n]
             },
             math: (n) => String.raw`6 \cdot \frac{1 \cdot 2 + 2 \cdot 3 + 3 \cdot 4 + \ldots +  ${n} \cdot ${n + 1}}{1 + 2 + 3 + \ldots + ${n}}`,
-            answer: (n) => 4 * (n + 2)
+            answer: (n) => 4 * (n + 2),
+            numeric: (n) => 6 * sum(k => k * (k + 1), 1, n) / sum(k => k, 1, n)
         },
         {
             id: 2,
@@ -23,7 +25,14 @@ export default {
                 return [n]
             },
             math: (n) => String.raw`\frac{1}{${n - 3}!} \cdot \Bigg ( 1 - \Bigg ( \frac{1}{2!} + \frac{2}{3!} + \frac{3}{4!} + \ldots + \frac{${n - 1}}{${n}!} \Bigg ) \Bigg )^{-1}`,
-            answer: (n) => n * (n - 1) * (n - 2)
+            answer: (n) => BigInt(n) * BigInt(n - 1) * BigInt(n - 2),
+            numeric: (n) => {
+                //  Exact fractions over the common denominator n!
+                const denominator = factorial(n)
+                const numerator = exactSum(k => BigInt(k) * denominator / factorial(k + 1), 1, n - 1)
+
+                return denominator / ((denominator - numerator) * factorial(n - 3))
+            }
         },
         {
             id: 3,
@@ -39,7 +48,12 @@ export default {
 
                 return String.raw`\sin^2 \frac{\pi}{${double}} + \sin^2 \frac{2 \pi}{${double}} + \sin^2 \frac{3 \pi}{${double}} + \ldots + \sin^2 \frac{${n} \pi}{${double}}`
             },
-            answer: (k) => k + 1
+            answer: (k) => k + 1,
+            numeric: (k) => {
+                const n = 2 * k + 1
+
+                return sum(j => Math.pow(Math.sin(j * Math.PI / (2 * n)), 2), 1, n)
+            }
         }
     ]
 }
\ No newline at end of file
@@ -0,0 +1,175 @@
+//  Checks closed-form answers of captcha tasks against numeric evaluation of their expressions
+//  Usage: npm run captcha:verify -- [--samples 200] [--task limit] [--task limit:3] [--tolerance 1e-6]
+
+import {
+    loadTasks,
+    getTasks
+} from "./index"
+import {
+    outputLog,
+    outputWarning,
+    outputError
+} from "../utils/console"
+import {
+    normalizeAnswer
+} from "./answers"
+
+const DEFAULT_SAMPLES = 200
+const DEFAULT_TOLERANCE = 1e-6
+const REPORT_EXAMPLES = 3
+
+const parseArgs = (argv) => {
+    const options = {
+        samples: DEFAULT_SAMPLES,
+        tolerance: DEFAULT_TOLERANCE,
+        tasks: []
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1]
+
+        switch (argv[i]) {
+            case '--samples':
+                options.samples = parseInt(value) || DEFAULT_SAMPLES
+                i++
+                break
+            case '--tolerance':
+                options.tolerance = parseFloat(value) || DEFAULT_TOLERANCE
+                i++
+                break
+            case '--task':
+                options.tasks.push(value)
+                i++
+                break
+        }
+    }
+
+    return options
+}
+
+const selected = (task, filters) => !filters.length ||
+    filters.some(f => f === task.name || f === `${task.name}:${task.id}`)
+
+//  Rational answers [p, q] are compared by value
+const toNumber = (value) => Array.isArray(value) ? Number(value[0]) / Number(value[1]) : Number(value)
+
+const compare = (task, answer, numeric, tolerance) => {
+    //  Pairs and sets are compared in the same canonical form the user input is checked in
+    if (Array.isArray(numeric)) {
+        return normalizeAnswer(task.answerType, numeric) === normalizeAnswer(task.answerType, answer)
+    }
+
+    if (typeof numeric === 'bigint') {
+        return typeof answer === 'bigint' || Number.isInteger(answer)
+            ? BigInt(answer) === numeric
+            : false
+    }
+
+    const expected = toNumber(answer)
+
+    return Math.abs(expected - numeric) <= tolerance * Math.max(1, Math.abs(expected))
+}
+
+//  Values a JavaScript number can not hold exactly, either in parameters, answers or rendered expressions
+const overflows = (params, answer, math) => {
+    const numbers = [...params, answer]
+        .flat(Infinity)
+        .filter(v => typeof v === 'number')
+
+    return numbers.some(v => !Number.isFinite(v) || (Number.isInteger(v) && !Number.isSafeInteger(v))) ||
+        /e\+|Infinity|NaN|\d{16,}/.test(math)
+}
+
+const format = (task, value) => normalizeAnswer(task.answerType, value) || String(value)
+
+const formatParams = (params) => JSON.stringify(params).slice(1, -1)
+
+const verifyTask = (task, {samples, tolerance}) => {
+    const report = {
+        mismatches: [],
+        overflows: [],
+        unverified: 0
+    }
+
+    for (let i = 0; i < samples; i++) {
+        const params = task.generate()
+        const answer = task.answer(...params)
+        const math = task.math(...params)
+
+        if (overflows(params, answer, math)) {
+            report.overflows.push({params, answer})
+        }
+
+        //  Tasks can draw parameters for the numeric check from a range it is able to evaluate
+        const sampled = task.sample ? task.sample() : params
+        const sampledAnswer = task.sample ? task.answer(...sampled) : answer
+        const numeric = task.numeric(...sampled)
+
+        if (typeof numeric === 'number' && Number.isNaN(numeric)) {
+            report.unverified++
+        } else if (!compare(task, sampledAnswer, numeric, task.tolerance || tolerance)) {
+            report.mismatches.push({params: sampled, answer: sampledAnswer, numeric})
+        }
+    }
+
+    return report
+}
+
+const printExamples = (items, describe) => items
+    .slice(0, REPORT_EXAMPLES)
+    .forEach(item => outputError(`    ${describe(item)}`))
+
+export const verify = (options) => {
+    loadTasks()
+
+    const tasks = getTasks().filter(t => selected(t, options.tasks))
+    let failed = 0
+
+    for (let task of tasks) {
+        const title = `${task.name}:${task.id}`
+
+        //  A task without a single checked sample is not counted as passed
+        if (typeof task.numeric !== 'function') {
+            outputError(`${title} has no numeric evaluation`)
+            failed++
+            continue
+        }
+
+        const {mismatches, overflows, unverified} = verifyTask(task, options)
+
+        if (unverified === options.samples) {
+            outputError(`${title} could not be evaluated numerically in any of ${options.samples} samples`)
+            failed++
+            continue
+        }
+
+        if (unverified) {
+            outputWarning(`${title} could not be evaluated numerically in ${unverified} of ${options.samples} samples`)
+        }
+
+        if (!mismatches.length && !overflows.length) {
+            outputLog(`${title} ok (${options.samples - unverified} of ${options.samples} samples verified)`)
+            continue
+        }
+
+        failed++
+
+        if (mismatches.length) {
+            outputError(`${title} closed form disagrees with the expression in ${mismatches.length} of ${options.samples} samples`)
+            printExamples(mismatches, m => `params ${formatParams(m.params)}: answer ${format(task, m.answer)}, numeric ${format(task, m.numeric)}`)
+        }
+
+        if (overflows.length) {
+            outputError(`${title} overflows in ${overflows.length} of ${options.samples} samples`)
+            printExamples(overflows, o => `params ${formatParams(o.params)}: answer ${format(task, o.answer)}`)
+        }
+    }
+
+    outputLog(`${tasks.length - failed} of ${tasks.length} tasks passed`)
+
+    return failed
+}
+
+if (require.main === module) {
+    process.exitCode = verify(parseArgs(process.argv.slice(2))) ? 1 : 0
+}
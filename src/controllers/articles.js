@@ -1,7 +1,62 @@
-import {Articles} from "../models/article"
+import {
+    Articles,
+    Article,
+    ArticleAnswers,
+    ArticleAnswer,
+    ArticleVote,
+    ArticleAnswerVote
+} from "../models/article"
 
 //  Restrictions for queries
 const ARTICLES_LIMIT = 10
+const ANSWERS_LIMIT = 10
+
+//  Error codes for article errors
+const errorCodes = {
+    not_found: 404,
+    forbidden: 403,
+    self_vote: 403,
+    already_voted: 409
+}
+
+//  Parse article fields from request body
+const parseArticle = (body) => ({
+    title: String(body.title || '').trim(),
+    abstract: String(body.abstract || '').trim(),
+    raw: String(body.raw || ''),
+    hubs: Array.isArray(body.hubs) ? [...new Set(body.hubs.map(id => parseInt(id)).filter(id => id > 0))] : [],
+    tags: Array.isArray(body.tags) ? [...new Set(body.tags.map(id => parseInt(id)).filter(id => id > 0))] : []
+})
+
+//  Parse answer fields from request body
+const parseAnswer = (body) => ({
+    message: String(body.message || '').trim()
+})
+
+//  Error output for article authoring endpoints
+const errorBody = (error, endpoint, timing) => {
+    if (error.name === 'validation') {
+        return responseBody(
+            null,
+            endpoint,
+            500,
+            timing,
+            error.data
+        )
+    }
+
+    return responseBody(
+        null,
+        endpoint,
+        500,
+        timing,
+        {
+            source: 'internal',
+            type: 'exception',
+            message: error.message
+        }
+    )
+}
 
 const responseBody = (
     data,
@@ -70,3 +125,351 @@ export const all = async (req, res) => {
         ))
     }
 }
+
+export const get = async (req, res) => {
+    //  Parse data from request params and query
+    const id = parseInt(req.params.id) || 0
+    const data = {
+        limit: parseInt(req.query.limit) || ANSWERS_LIMIT,
+        offset: parseInt(req.query.offset) || 0
+    }
+    const user = res.locals.user ? res.locals.user.id : false
+
+    //  Initializing Article and ArticleAnswers classes
+    const article = new Article({id, user})
+    const answers = new ArticleAnswers({
+        id,
+        limit: data.limit,
+        offset: data.offset
+    })
+
+    try {
+        //  Loading article data from a database
+        const loaded = await article.setData()
+
+        if (!loaded) {
+            return res.json(responseBody(
+                null,
+                id,
+                404,
+                article.timing,
+                {
+                    source: 'article',
+                    type: 'not_found'
+                }
+            ))
+        }
+
+        //  Loading article answers from a database
+        await answers.setData()
+        article.addTiming(answers.timing)
+
+        //  Data output
+        res.json(responseBody(
+            {
+                ...article.data,
+                answers: answers.data
+            },
+            id,
+            200,
+            article.timing,
+            null,
+            data.limit,
+            data.offset,
+            answers.total
+        ))
+    } catch(error) {
+        //  Error output
+        res.json(responseBody(
+            null,
+            id,
+            500,
+            article.timing,
+            {
+                source: 'internal',
+                type: 'exception',
+                message: error.message
+            }
+        ))
+    }
+}
+
+export const create = async (req, res) => {
+    const data = parseArticle(req.body)
+    const article = new Article({user: res.locals.user.id})
+
+    try {
+        const [status, error] = await article.create(data)
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                'create',
+                errorCodes[error.type] || 500,
+                article.timing,
+                error
+            ))
+        }
+
+        res.json(responseBody(
+            article.data,
+            'create',
+            200,
+            article.timing
+        ))
+    } catch (error) {
+        res.json(errorBody(error, 'create', article.timing))
+    }
+}
+
+export const update = async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const data = parseArticle(req.body)
+    const article = new Article({id, user: res.locals.user.id})
+
+    try {
+        const [status, error] = await article.update(data)
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                `${id}/update`,
+                errorCodes[error.type] || 500,
+                article.timing,
+                error
+            ))
+        }
+
+        res.json(responseBody(
+            article.data,
+            `${id}/update`,
+            200,
+            article.timing
+        ))
+    } catch (error) {
+        res.json(errorBody(error, `${id}/update`, article.timing))
+    }
+}
+
+export const remove = async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const article = new Article({
+        id,
+        user: res.locals.user.id,
+        role: res.locals.user.role
+    })
+
+    try {
+        const [status, error] = await article.delete()
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                `${id}/delete`,
+                errorCodes[error.type] || 500,
+                article.timing,
+                error
+            ))
+        }
+
+        res.json(responseBody(
+            {id},
+            `${id}/delete`,
+            200,
+            article.timing
+        ))
+    } catch (error) {
+        res.json(errorBody(error, `${id}/delete`, article.timing))
+    }
+}
+
+export const answers = async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const data = {
+        limit: parseInt(req.body.limit) || ANSWERS_LIMIT,
+        offset: parseInt(req.body.offset) || 0,
+        sorts: req.body.sorts || false
+    }
+
+    const answers = new ArticleAnswers({
+        id,
+        ...data
+    })
+
+    try {
+        await answers.setData()
+
+        res.json(responseBody(
+            answers.data,
+            `${id}/answers`,
+            200,
+            answers.timing,
+            null,
+            data.limit,
+            data.offset,
+            answers.total
+        ))
+    } catch (error) {
+        res.json(errorBody(error, `${id}/answers`, answers.timing))
+    }
+}
+
+export const createAnswer = async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const data = parseAnswer(req.body)
+    const answer = new ArticleAnswer({user: res.locals.user.id})
+
+    try {
+        const [status, error] = await answer.create(id, data)
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                `${id}/answers/create`,
+                errorCodes[error.type] || 500,
+                answer.timing,
+                error
+            ))
+        }
+
+        res.json(responseBody(
+            answer.data,
+            `${id}/answers/create`,
+            200,
+            answer.timing
+        ))
+    } catch (error) {
+        res.json(errorBody(error, `${id}/answers/create`, answer.timing))
+    }
+}
+
+export const updateAnswer = async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const data = parseAnswer(req.body)
+    const answer = new ArticleAnswer({id, user: res.locals.user.id})
+
+    try {
+        const [status, error] = await answer.update(data)
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                `answers/${id}/update`,
+                errorCodes[error.type] || 500,
+                answer.timing,
+                error
+            ))
+        }
+
+        res.json(responseBody(
+            answer.data,
+            `answers/${id}/update`,
+            200,
+            answer.timing
+        ))
+    } catch (error) {
+        res.json(errorBody(error, `answers/${id}/update`, answer.timing))
+    }
+}
+
+export const removeAnswer = async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const answer = new ArticleAnswer({
+        id,
+        user: res.locals.user.id,
+        role: res.locals.user.role
+    })
+
+    try {
+        const [status, error] = await answer.delete()
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                `answers/${id}/delete`,
+                errorCodes[error.type] || 500,
+                answer.timing,
+                error
+            ))
+        }
+
+        res.json(responseBody(
+            {id},
+            `answers/${id}/delete`,
+            200,
+            answer.timing
+        ))
+    } catch (error) {
+        res.json(errorBody(error, `answers/${id}/delete`, answer.timing))
+    }
+}
+
+//  Common handler for voting endpoints
+const voteHandler = (endpoint, action, VoteClass = ArticleVote, prefix = '') => async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const vote = new VoteClass({id, user: res.locals.user.id})
+
+    try {
+        const [status, error] = await action(vote)
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                `${prefix}${id}/${endpoint}`,
+                errorCodes[error.type] || 500,
+                vote.timing,
+                error
+            ))
+        }
+
+        res.json(responseBody(
+            vote.data,
+            `${prefix}${id}/${endpoint}`,
+            200,
+            vote.timing
+        ))
+    } catch (error) {
+        res.json(errorBody(error, `${prefix}${id}/${endpoint}`, vote.timing))
+    }
+}
+
+export const upvote = voteHandler('upvote', vote => vote.set(1))
+
+export const downvote = voteHandler('downvote', vote => vote.set(-1))
+
+export const retract = voteHandler('retract', vote => vote.retract())
+
+export const upvoteAnswer = voteHandler('upvote', vote => vote.set(1), ArticleAnswerVote, 'answers/')
+
+export const downvoteAnswer = voteHandler('downvote', vote => vote.set(-1), ArticleAnswerVote, 'answers/')
+
+export const retractAnswer = voteHandler('retract', vote => vote.retract(), ArticleAnswerVote, 'answers/')
+
+export const accept = async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const answerId = parseInt(req.body.answer) || null
+    const article = new Article({id, user: res.locals.user.id})
+
+    try {
+        const [status, error] = await article.accept(answerId)
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                `${id}/accept`,
+                errorCodes[error.type] || 500,
+                article.timing,
+                error
+            ))
+        }
+
+        res.json(responseBody(
+            article.data,
+            `${id}/accept`,
+            200,
+            article.timing
+        ))
+    } catch (error) {
+        res.json(errorBody(error, `${id}/accept`, article.timing))
+    }
+}
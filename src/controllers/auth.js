@@ -6,6 +6,12 @@ import {
 import {
     User
 } from "../models/user"
+import {
+    Session
+} from "../models/session"
+import {
+    LoginFailures
+} from "../models/login"
 
 const AUTH_TOKEN_EXPIRES_IN = 30
 
@@ -24,99 +30,202 @@ const responseBody = (
     }
 })
 
+//  Client info stored with the session
+const parseClient = (req) => ({
+    device: req.get('User-Agent') || null,
+    ip: req.ip || null
+})
+
+//  Sign access token for the session and return both tokens
+const issueTokens = async (user, session) => {
+    const expiresIn = AUTH_TOKEN_EXPIRES_IN * 60
+    const token = await jwt.sign(
+        {
+            ...user.claims,
+            session: session.data.id
+        },
+        process.env.JWT_PRIVATE_KEY,
+        {
+            expiresIn
+        }
+    )
+
+    return {
+        accessToken: token,
+        expiresIn,
+        refreshToken: session.refreshToken,
+        refreshExpiresIn: session.expiresIn
+    }
+}
+
+//  Parse captcha token and answer from request body
+const parseCaptcha = (captcha) => ({
+    token: captcha && captcha.token ? captcha.token : '',
+    answer: captcha && captcha.answer !== undefined && captcha.answer !== null ? captcha.answer : ''
+})
+
+//  Check captcha answer, returns error object or null when solved
+const checkCaptcha = async ({token, answer}) => {
+    const decoded = await jwt.verify(token, process.env.JWT_PRIVATE_KEY)
+    const validateCaptcha = new ValidateCaptcha(decoded.nonce)
+
+    const loaded = await validateCaptcha.setData()
+
+    if (!loaded) {
+        return {
+            source: 'captcha',
+            type: 'not_loaded'
+        }
+    }
+
+    const solved = validateCaptcha.validate(answer)
+
+    if (!await validateCaptcha.use(solved)) {
+        return {
+            source: 'captcha',
+            type: 'already_used'
+        }
+    }
+
+    if (!solved) {
+        return {
+            source: 'captcha',
+            type: 'wrong_answer'
+        }
+    }
+
+    return null
+}
+
+//  Error output for exceptions thrown inside auth endpoints
+const errorBody = (error, endpoint) => {
+    if (error.name === 'TokenExpiredError') {
+        return responseBody(
+            null,
+            endpoint,
+            500,
+            {
+                source: "token",
+                type: "expired"
+            }
+        )
+    }
+    else if (error.name === 'validation') {
+        return responseBody(
+            null,
+            endpoint,
+            500,
+            error.data
+        )
+    }
+
+    return responseBody(
+        null,
+        endpoint,
+        500,
+        {
+            source: 'internal',
+            type: 'exception',
+            message: error.message
+        }
+    )
+}
+
 export const login = async(req, res) => {
     const data = {
+        captcha: parseCaptcha(req.body.captcha),
         email: req.body.email,
         password: req.body.password
     }
 
     const user = new User()
+    const failures = new LoginFailures({
+        email: data.email,
+        ip: req.ip
+    })
 
     try {
+        await failures.setData()
+
+        if (failures.locked) {
+            return res.json(responseBody(
+                null,
+                'login',
+                500,
+                {
+                    source: 'user',
+                    type: 'locked',
+                    retryAfter: failures.retryAfter
+                }
+            ))
+        }
+
+        //  After repeated failures the login needs a solved captcha from /captcha/generate
+        if (failures.captchaRequired) {
+            const captchaError = data.captcha.token ? await checkCaptcha(data.captcha) : {
+                source: 'captcha',
+                type: 'required'
+            }
+
+            if (captchaError) {
+                return res.json(responseBody(
+                    null,
+                    'login',
+                    500,
+                    captchaError
+                ))
+            }
+        }
+
         const [status, error] = await user.login(data)
 
         if (!status) {
+            await failures.add()
+
             return res.json(responseBody(
                 null,
                 'login',
                 500,
                 {
                     source: 'user',
-                    type: error
+                    type: error,
+                    captchaRequired: failures.captchaRequired
                 }
             ))
         }
 
-        const expiresIn = AUTH_TOKEN_EXPIRES_IN * 60
-        const token = await jwt.sign(
-            user.data,
-            process.env.JWT_PRIVATE_KEY,
-            {
-                expiresIn
-            }
-        )
+        await failures.clear()
+
+        const session = new Session()
+        await session.create(user.data.id, parseClient(req))
 
         res.json(responseBody(
-            {
-                accessToken: token,
-                expiresIn
-            },
+            await issueTokens(user, session),
             'login'
         ))
     }
     catch (error) {
-        res.json(responseBody(
-            null,
-            'login',
-            500,
-            {
-                source: 'internal',
-                type: 'exception',
-                message: error.message
-            }
-        ))
+        res.json(errorBody(error, 'login'))
     }
 }
 
 export const register = async (req, res) => {
-    const captcha = req.body.captcha
     const data = {
-        captcha: {
-            token: captcha.token || '',
-            answer: captcha.answer || ''
-        },
+        captcha: parseCaptcha(req.body.captcha),
         displayName: req.body.displayName || '',
         email: req.body.email || '',
         password: req.body.password || ''
     }
 
     try {
-        const decoded = await jwt.verify(data.captcha.token, process.env.JWT_PRIVATE_KEY)
-        const validateCaptcha = new ValidateCaptcha(decoded.id)
-
-        const loaded = await validateCaptcha.setData()
-
-        if (!loaded) {
-            return res.json(responseBody(
-                null,
-                'register',
-                500,
-                {
-                    source: 'captcha',
-                    type: 'not_loaded'
-                }
-            ))
-        }
+        const captchaError = await checkCaptcha(data.captcha)
 
-        if (!validateCaptcha.validate(decoded.params, data.captcha.answer)) {
+        if (captchaError) {
             return res.json(responseBody(
                 null,
                 'register',
                 500,
-                {
-                    source: 'captcha',
-                    type: 'wrong_answer'
-                }
+                captchaError
             ))
         }
 
@@ -145,36 +254,220 @@ export const register = async (req, res) => {
             'register'
         ))
     } catch(error) {
-        if (error.name === 'TokenExpiredError') {
-            res.json(responseBody(
+        res.json(errorBody(error, 'register'))
+    }
+}
+
+export const confirm = async (req, res) => {
+    const code = req.body.code || ''
+    const user = new User()
+
+    try {
+        const [status, error] = await user.confirm(code)
+
+        if (!status) {
+            return res.json(responseBody(
                 null,
-                'register',
+                'confirm',
+                500,
+                {
+                    source: 'confirm_code',
+                    type: error
+                }
+            ))
+        }
+
+        res.json(responseBody(
+            user.data,
+            'confirm'
+        ))
+    } catch (error) {
+        res.json(responseBody(
+            null,
+            'confirm',
+            500,
+            {
+                source: 'internal',
+                type: 'exception',
+                message: error.message
+            }
+        ))
+    }
+}
+
+export const resend = async (req, res) => {
+    const email = req.body.email || ''
+    const user = new User()
+
+    try {
+        const [status, error] = await user.resend(email)
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                'resend',
                 500,
                 {
-                    source: "token",
-                    type: "expired"
+                    source: 'user',
+                    type: error
                 }
             ))
         }
-        else if (error.name === 'validation') {
-            res.json(responseBody(
+
+        res.json(responseBody(
+            null,
+            'resend'
+        ))
+    } catch (error) {
+        res.json(responseBody(
+            null,
+            'resend',
+            500,
+            {
+                source: 'internal',
+                type: 'exception',
+                message: error.message
+            }
+        ))
+    }
+}
+
+export const forgot = async (req, res) => {
+    const data = {
+        captcha: parseCaptcha(req.body.captcha),
+        email: req.body.email || ''
+    }
+
+    try {
+        const captchaError = await checkCaptcha(data.captcha)
+
+        if (captchaError) {
+            return res.json(responseBody(
                 null,
-                'register',
+                'forgot',
                 500,
-                error.data
+                captchaError
             ))
         }
-        else {
-            res.json(responseBody(
+
+        const user = new User()
+
+        //  Response does not depend on whether the email is registered
+        await user.forgot(data.email)
+
+        res.json(responseBody(
+            null,
+            'forgot'
+        ))
+    } catch (error) {
+        res.json(errorBody(error, 'forgot'))
+    }
+}
+
+export const reset = async (req, res) => {
+    const data = {
+        token: req.body.token || '',
+        password: req.body.password || ''
+    }
+
+    const user = new User()
+
+    try {
+        const [status, error] = await user.reset(data)
+
+        if (!status) {
+            return res.json(responseBody(
                 null,
-                'register',
+                'reset',
                 500,
                 {
-                    source: 'internal',
-                    type: 'exception',
-                    message: error.message
+                    source: 'reset_token',
+                    type: error
+                }
+            ))
+        }
+
+        res.json(responseBody(
+            user.data,
+            'reset'
+        ))
+    } catch (error) {
+        res.json(errorBody(error, 'reset'))
+    }
+}
+
+export const refresh = async (req, res) => {
+    const refreshToken = req.body.refreshToken || ''
+    const session = new Session()
+
+    try {
+        const [status, error] = await session.refresh(refreshToken, parseClient(req))
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                'refresh',
+                401,
+                {
+                    source: 'refresh_token',
+                    type: error
+                }
+            ))
+        }
+
+        const user = new User()
+        const loaded = await user.get(session.data.user)
+
+        if (!loaded) {
+            return res.json(responseBody(
+                null,
+                'refresh',
+                401,
+                {
+                    source: 'user',
+                    type: 'not_found'
+                }
+            ))
+        }
+
+        res.json(responseBody(
+            await issueTokens(user, session),
+            'refresh'
+        ))
+    } catch (error) {
+        res.json(errorBody(error, 'refresh'))
+    }
+}
+
+export const logout = async (req, res) => {
+    const claims = res.locals.user
+    const data = {
+        all: !!req.body.all,
+        session: parseInt(req.body.session) || claims.session
+    }
+
+    const session = new Session()
+
+    try {
+        const revoked = await session.revoke(claims.id, data.all ? null : data.session)
+
+        if (!revoked) {
+            return res.json(responseBody(
+                null,
+                'logout',
+                404,
+                {
+                    source: 'session',
+                    type: 'not_found'
                 }
             ))
         }
+
+        res.json(responseBody(
+            null,
+            'logout'
+        ))
+    } catch (error) {
+        res.json(errorBody(error, 'logout'))
     }
 }
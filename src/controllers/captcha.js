@@ -1,8 +1,40 @@
 const jwt = require('jsonwebtoken')
 
-import {Captcha} from "../models/captcha"
+import {
+    Captcha,
+    CaptchaTasks,
+    CaptchaStats,
+    allowedCaptchaTypes,
+    CAPTCHA_TOKEN_EXPIRES_IN,
+    CAPTCHA_MIN_DIFFICULTY,
+    CAPTCHA_MAX_DIFFICULTY
+} from "../models/captcha"
+import {
+    renderSvg,
+    svgDataUri,
+    RENDER_FORMATS,
+    DEFAULT_RENDER_FORMAT
+} from "../captcha/render"
+import {
+    LANGUAGES,
+    DEFAULT_LANGUAGE
+} from "../captcha/instructions"
 
-const CAPTCHA_TOKEN_EXPIRES_IN = 15
+//  Parse list of task families, e.g. "limit,integral" or ["limit", "integral"]
+const parseFamilies = (value) => {
+    const families = Array.isArray(value) ? value : String(value || '').split(',')
+
+    return families.map(f => String(f).trim()).filter(f => f.length > 0)
+}
+
+const parseFlag = (value) => value === 'true' || value === '1'
+
+//  Clamp difficulty to the allowed range
+const parseDifficulty = (value, defaultValue) => {
+    const difficulty = parseInt(value) || defaultValue
+
+    return Math.min(Math.max(difficulty, CAPTCHA_MIN_DIFFICULTY), CAPTCHA_MAX_DIFFICULTY)
+}
 
 const responseBody = (
     body,
@@ -20,7 +52,55 @@ const responseBody = (
 })
 
 export const generate = async (req, res) => {
-    const captcha = new Captcha()
+    const allowedTypes = allowedCaptchaTypes()
+    const data = {
+        type: String(req.query.type || allowedTypes[0]),
+        minDifficulty: parseDifficulty(req.query.minDifficulty, CAPTCHA_MIN_DIFFICULTY),
+        maxDifficulty: parseDifficulty(req.query.maxDifficulty, CAPTCHA_MAX_DIFFICULTY),
+        families: parseFamilies(req.query.family),
+        client: req.ip || null,
+        language: req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE
+    }
+    const format = String(req.query.format || DEFAULT_RENDER_FORMAT)
+    const noise = parseFlag(req.query.noise)
+
+    if (!allowedTypes.includes(data.type)) {
+        return res.json(responseBody(
+            null,
+            'generate',
+            500,
+            {
+                source: 'type',
+                type: 'not_allowed'
+            }
+        ))
+    }
+
+    if (data.minDifficulty > data.maxDifficulty) {
+        return res.json(responseBody(
+            null,
+            'generate',
+            500,
+            {
+                source: 'difficulty',
+                type: 'invalid'
+            }
+        ))
+    }
+
+    if (!RENDER_FORMATS.includes(format)) {
+        return res.json(responseBody(
+            null,
+            'generate',
+            500,
+            {
+                source: 'format',
+                type: 'invalid'
+            }
+        ))
+    }
+
+    const captcha = new Captcha(data)
 
     try {
         const loaded = await captcha.setData()
@@ -37,6 +117,8 @@ export const generate = async (req, res) => {
             ))
         }
 
+        const language = captcha.language
+        const instruction = captcha.instruction
         const token = await jwt.sign(
             captcha.data,
             process.env.JWT_PRIVATE_KEY,
@@ -44,10 +126,23 @@ export const generate = async (req, res) => {
                 expiresIn: CAPTCHA_TOKEN_EXPIRES_IN * 60
             }
             )
-        const math = captcha.math
+
+        //  Client has to find an answer whose hash has the required number of leading zero bits
+        if (data.type === 'pow') {
+            return res.json(responseBody(
+                {token, type: data.type, ...captcha.pow, language, instruction},
+                'generate',
+            ))
+        }
+
+        //  Image mode does not expose the expression as text
+        const math = format === 'latex' ? captcha.math : null
+        const image = format === 'svg' ? svgDataUri(renderSvg(captcha.math, noise)) : null
+        const difficulty = captcha.difficulty
+        const answerType = captcha.answerType
 
         res.json(responseBody(
-            {token, math},
+            {token, type: data.type, format, math, image, instruction, language, difficulty, answerType},
             'generate',
         ))
     } catch (error) {
@@ -63,3 +158,97 @@ export const generate = async (req, res) => {
         ))
     }
 }
+
+export const tasks = async (req, res) => {
+    const captchaTasks = new CaptchaTasks()
+
+    try {
+        await captchaTasks.setData()
+
+        res.json(responseBody(
+            captchaTasks.data,
+            'tasks'
+        ))
+    } catch (error) {
+        res.json(responseBody(
+            null,
+            'tasks',
+            500,
+            {
+                source: 'internal',
+                type: 'exception',
+                message: error.message
+            }
+        ))
+    }
+}
+
+//  Common handler for captcha tasks management endpoints
+const tasksHandler = (endpoint, action) => async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const path = id ? `tasks/${id}/${endpoint}` : `tasks/${endpoint}`
+    const captchaTasks = new CaptchaTasks()
+
+    try {
+        const [status, error] = await action(captchaTasks, id)
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                path,
+                error.type === 'not_found' ? 404 : 500,
+                error
+            ))
+        }
+
+        await captchaTasks.setData()
+
+        res.json(responseBody(
+            captchaTasks.data,
+            path
+        ))
+    } catch (error) {
+        res.json(responseBody(
+            null,
+            path,
+            500,
+            {
+                source: 'internal',
+                type: 'exception',
+                message: error.message
+            }
+        ))
+    }
+}
+
+export const enableTask = tasksHandler('enable', (captchaTasks, id) => captchaTasks.setEnabled(id, true))
+
+export const disableTask = tasksHandler('disable', (captchaTasks, id) => captchaTasks.setEnabled(id, false))
+
+export const reloadTasks = tasksHandler('reload', (captchaTasks) => captchaTasks.reload())
+
+export const stats = async (req, res) => {
+    const captchaStats = new CaptchaStats({
+        days: req.body.days
+    })
+
+    try {
+        await captchaStats.setData()
+
+        res.json(responseBody(
+            captchaStats.data,
+            'stats'
+        ))
+    } catch (error) {
+        res.json(responseBody(
+            null,
+            'stats',
+            500,
+            {
+                source: 'internal',
+                type: 'exception',
+                message: error.message
+            }
+        ))
+    }
+}
@@ -1,4 +1,7 @@
-import {Hubs} from "../models/hub";
+import {
+    Hubs,
+    HubModerators
+} from "../models/hub";
 import {TagsInHub} from "../models/tag"
 
 const HUBS_LIMIT = 10
@@ -77,3 +80,85 @@ export const all = async (req, res) => {
         ))
     }
 }
+
+export const moderators = async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const hubModerators = new HubModerators(id)
+
+    try {
+        await hubModerators.setData()
+
+        res.json(responseBody(
+            hubModerators.data,
+            `${id}/moderators`,
+            200,
+            0,
+            null,
+            hubModerators.data.length,
+            0,
+            hubModerators.data.length
+        ))
+    } catch (error) {
+        res.json(responseBody(
+            null,
+            `${id}/moderators`,
+            500,
+            0,
+            {
+                source: 'internal',
+                type: 'exception',
+                message: error.message
+            }
+        ))
+    }
+}
+
+//  Common handler for hub moderators management endpoints
+const moderatorHandler = (endpoint, action) => async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const userId = parseInt(req.body.user) || 0
+    const hubModerators = new HubModerators(id)
+
+    try {
+        const [status, error] = await action(hubModerators, userId)
+
+        if (!status) {
+            return res.json(responseBody(
+                null,
+                `${id}/moderators/${endpoint}`,
+                error.type === 'not_found' ? 404 : 500,
+                0,
+                error
+            ))
+        }
+
+        await hubModerators.setData()
+
+        res.json(responseBody(
+            hubModerators.data,
+            `${id}/moderators/${endpoint}`,
+            200,
+            0,
+            null,
+            hubModerators.data.length,
+            0,
+            hubModerators.data.length
+        ))
+    } catch (error) {
+        res.json(responseBody(
+            null,
+            `${id}/moderators/${endpoint}`,
+            500,
+            0,
+            {
+                source: 'internal',
+                type: 'exception',
+                message: error.message
+            }
+        ))
+    }
+}
+
+export const addModerator = moderatorHandler('add', (hubModerators, userId) => hubModerators.add(userId))
+
+export const removeModerator = moderatorHandler('remove', (hubModerators, userId) => hubModerators.remove(userId))
@@ -1,4 +1,8 @@
 import {User} from "../models/user"
+import {
+    Session,
+    Sessions
+} from "../models/session"
 
 const jwt = require('jsonwebtoken')
 
@@ -17,15 +21,52 @@ const responseBody = (
     }
 })
 
+//  Check that the token is neither outdated by a password change nor revoked by logout
+const validClaims = async (claims) => {
+    const user = new User()
+    const session = new Session()
+
+    return await user.validClaims(claims) && await session.active(claims.id, claims.session)
+}
+
 export const validate = async (req, res, next) => {
     try {
-        res.locals.user = await jwt.verify(req.token, process.env.JWT_PRIVATE_KEY)
+        const claims = await jwt.verify(req.token, process.env.JWT_PRIVATE_KEY)
+
+        if (!await validClaims(claims)) {
+            return res.sendStatus(401)
+        }
+
+        res.locals.user = claims
         return next()
     } catch (error) {
         return res.sendStatus(401)
     }
 }
 
+//  Allow the request only for users with one of the given roles, use after validate
+export const authorize = (...roles) => (req, res, next) => {
+    const user = res.locals.user
+
+    if (!user || !roles.includes(user.role)) {
+        return res.sendStatus(403)
+    }
+
+    return next()
+}
+
+export const identify = async (req, res, next) => {
+    try {
+        const claims = req.token ? await jwt.verify(req.token, process.env.JWT_PRIVATE_KEY) : null
+
+        res.locals.user = claims && await validClaims(claims) ? claims : null
+    } catch (error) {
+        res.locals.user = null
+    }
+
+    return next()
+}
+
 export const me = async (req, res) => {
     const userId = res.locals.user.id
     const user = new User()
@@ -62,3 +103,31 @@ export const me = async (req, res) => {
         ))
     }
 }
+
+export const sessions = async (req, res) => {
+    const claims = res.locals.user
+    const sessions = new Sessions(claims.id)
+
+    try {
+        await sessions.setData()
+
+        res.json(responseBody(
+            sessions.data.map(session => ({
+                ...session,
+                current: session.id === claims.session
+            })),
+            'sessions'
+        ))
+    } catch (error) {
+        res.json(responseBody(
+            null,
+            'sessions',
+            500,
+            {
+                source: 'internal',
+                type: 'exception',
+                message: error.message
+            }
+        ))
+    }
+}
@@ -0,0 +1,70 @@
+import {
+    User,
+    ROLES
+} from "../models/user"
+
+const responseBody = (
+    body,
+    endpoint,
+    code = 200,
+    error = null
+) => ({
+    data: body,
+    context: {
+        endpoint: `/users/${endpoint}`,
+        success: !error,
+        code,
+        error
+    }
+})
+
+export const role = async (req, res) => {
+    const id = parseInt(req.params.id) || 0
+    const role = String(req.body.role || '')
+
+    if (!ROLES.includes(role)) {
+        return res.json(responseBody(
+            null,
+            `${id}/role`,
+            500,
+            {
+                source: 'role',
+                type: 'invalid'
+            }
+        ))
+    }
+
+    const user = new User()
+
+    try {
+        const updated = await user.setRole(id, role)
+
+        if (!updated) {
+            return res.json(responseBody(
+                null,
+                `${id}/role`,
+                404,
+                {
+                    source: 'user',
+                    type: 'not_found'
+                }
+            ))
+        }
+
+        res.json(responseBody(
+            user.data,
+            `${id}/role`
+        ))
+    } catch (error) {
+        res.json(responseBody(
+            null,
+            `${id}/role`,
+            500,
+            error.name === 'validation' ? error.data : {
+                source: 'internal',
+                type: 'exception',
+                message: error.message
+            }
+        ))
+    }
+}
@@ -16,6 +16,9 @@ import {
 import {
     loadTasks as loadCaptchaTasks
 } from "./captcha";
+import {
+    loadTransport as loadMailTransport
+} from "./mail"
 import {
     outputLog,
     outputError
@@ -25,6 +28,9 @@ import router from './routes'
 const port = process.env.PORT || 5000
 const app = express()
 
+//  Take client IP from X-Forwarded-For set by the local NGINX proxy
+app.set('trust proxy', 'loopback')
+
 app.use(bodyParser.json())
 app.use(bodyParser.urlencoded({
     extended: false
@@ -61,6 +67,7 @@ const startup = async () => {
     try {
         await dbConnect()
         await loadCaptchaTasks()
+        loadMailTransport()
 
         createModels()
         setModelsAssociations()
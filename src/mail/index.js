@@ -0,0 +1,40 @@
+import outbox from "./outbox"
+import smtp from "./smtp"
+import {
+    outputLog
+} from "../utils/console"
+
+const DEFAULT_TRANSPORT = 'outbox'
+const DEFAULT_FROM = 'CryptoMath <noreply@cryptomath.local>'
+
+const transportsObject = {
+    [outbox.name]: outbox,
+    [smtp.name]: smtp
+}
+
+let transport = null
+
+export const loadTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT
+
+    transport = transportsObject[name]
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport '${name}'`)
+    }
+
+    outputLog(`Mail transport '${name}' was loaded`)
+}
+
+export const sendMail = async ({to, subject, text}) => {
+    if (!transport) {
+        loadTransport()
+    }
+
+    await transport.send({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        text
+    })
+}
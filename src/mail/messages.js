@@ -0,0 +1,25 @@
+const clientUrl = (path) => `${process.env.CLIENT_URL || ''}${path}`
+
+export const confirmMessage = ({displayName, confirmCode}) => ({
+    subject: 'CryptoMath: confirm your email',
+    text: [
+        `Hello, ${displayName}!`,
+        '',
+        'To confirm your email address, open the link below:',
+        clientUrl(`/confirm?code=${confirmCode}`),
+        '',
+        `Confirmation code: ${confirmCode}`
+    ].join('\n')
+})
+
+export const resetMessage = ({displayName}, resetToken) => ({
+    subject: 'CryptoMath: reset your password',
+    text: [
+        `Hello, ${displayName}!`,
+        '',
+        'To set a new password, open the link below:',
+        clientUrl(`/reset?token=${resetToken}`),
+        '',
+        'If you did not request a password reset, just ignore this email.'
+    ].join('\n')
+})
@@ -0,0 +1,17 @@
+const fs = require('fs')
+const path = require('path')
+
+const OUTBOX_PATH = 'outbox.log'
+
+export default {
+    name: 'outbox',
+    send: async (message) => {
+        const file = path.resolve(process.env.MAIL_OUTBOX || OUTBOX_PATH)
+        const entry = JSON.stringify({
+            ...message,
+            date: new Date().toISOString()
+        })
+
+        await fs.promises.appendFile(file, `${entry}\n`)
+    }
+}
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer')
+
+let transporter = null
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.MAIL_HOST || '127.0.0.1',
+            port: parseInt(process.env.MAIL_PORT) || 1025,
+            secure: process.env.MAIL_SECURE === 'true',
+            ...(process.env.MAIL_USERNAME && {
+                auth: {
+                    user: process.env.MAIL_USERNAME,
+                    pass: process.env.MAIL_PASSWORD
+                }
+            })
+        })
+    }
+
+    return transporter
+}
+
+export default {
+    name: 'smtp',
+    send: async (message) => {
+        await getTransporter().sendMail(message)
+    }
+}
@@ -1,4 +1,4 @@
-import { DataTypes, QueryTypes } from "sequelize"
+import { Op, DataTypes, QueryTypes } from "sequelize"
 
 import {getConnection} from "../core/database"
 import {getInstance} from "./index"
@@ -9,9 +9,21 @@ import {
 import {
     prepareWhere,
     prepareOrder,
-    prepareQuery
+    prepareQuery,
+    resetSequence
 } from "../utils/queries"
-import {FilteredList} from "./mixins"
+import {
+    Benchmark,
+    FilteredList
+} from "./mixins"
+import {getSorts} from "./filters"
+import {HubModerators} from "./hub"
+import {validationError} from "../utils/errors"
+
+//  Restrictions for article fields
+const ARTICLE_TITLE_MAX_LENGTH = 300
+const ARTICLE_ABSTRACT_MAX_LENGTH = 2000
+const ANSWER_MESSAGE_MAX_LENGTH = 10000
 
 //  Callback for updating tsv vector
 const updateArticleTsv = (db, model) => async (article, options) => {
@@ -29,6 +41,19 @@ const updateArticleTsv = (db, model) => async (article, options) => {
     }
 }
 
+//  Check that the user moderates one of the article hubs, shared by articles and answers
+const moderatesArticle = async (user, articleId, transaction) => {
+    const hubs = await getInstance('ArticleHub').findAll({
+        where: {
+            article: articleId
+        },
+        transaction
+    })
+    const hubModerators = new HubModerators()
+
+    return hubModerators.moderates(user, hubs.map(h => h.hub), transaction)
+}
+
 //  Sequelize model for the Articles table
 export const ArticleModel = () => {
     const db = getConnection()
@@ -40,20 +65,35 @@ export const ArticleModel = () => {
         },
         title: {
             type: DataTypes.TEXT,
-            allowNull: false
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+                len: [1, ARTICLE_TITLE_MAX_LENGTH]
+            }
         },
         abstract: {
             type: DataTypes.TEXT,
-            allowNull: false
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+                len: [1, ARTICLE_ABSTRACT_MAX_LENGTH]
+            }
         },
         raw: {
             type: DataTypes.TEXT,
-            allowNull: false
+            allowNull: false,
+            validate: {
+                notEmpty: true
+            }
         },
         author: {
             type: DataTypes.INTEGER,
             allowNull: false
         },
+        acceptedAnswer: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
         tsv: {
             type: 'TSVECTOR'
         }
@@ -149,7 +189,11 @@ export const ArticleAnswerModel = () => {
         },
         message: {
             type: DataTypes.TEXT,
-            allowNull: false
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+                len: [1, ANSWER_MESSAGE_MAX_LENGTH]
+            }
         },
     }, {
         freezeTableName: true,
@@ -157,6 +201,44 @@ export const ArticleAnswerModel = () => {
     })
 }
 
+//  Sequelize model for the ArticlesAnswersVotes junction table
+export const ArticleAnswerVoteModel = () => {
+    const db = getConnection()
+
+    return db.define('ArticleAnswerVote', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        answer: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        user: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        vote: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                isIn: [[-1, 1]]
+            }
+        }
+    }, {
+        freezeTableName: true,
+        tableName: 'ArticlesAnswersVotes',
+        indexes: [
+            {
+                name: 'answer_vote_user',
+                unique: true,
+                fields: ['answer', 'user']
+            }
+        ]
+    })
+}
+
 //  Sequelize model for the ArticlesVotes junction table
 export const ArticleVoteModel = () => {
     const db = getConnection()
@@ -177,11 +259,21 @@ export const ArticleVoteModel = () => {
         },
         vote: {
             type: DataTypes.INTEGER,
-            allowNull: false
+            allowNull: false,
+            validate: {
+                isIn: [[-1, 1]]
+            }
         }
     }, {
         freezeTableName: true,
         tableName: 'ArticlesVotes',
+        indexes: [
+            {
+                name: 'article_vote_user',
+                unique: true,
+                fields: ['article', 'user']
+            }
+        ]
     })
 }
 
@@ -191,6 +283,7 @@ export const ArticleAssociations = (model) => {
     const articleTagModel = getInstance('ArticleTag')
     const articleAnswerModel = getInstance('ArticleAnswer')
     const articleVoteModel = getInstance('ArticleVote')
+    const articleAnswerVoteModel = getInstance('ArticleAnswerVote')
     const userModel = getInstance('User')
     const hubModel = getInstance('Hub')
     const tagModel = getInstance('Tag')
@@ -270,6 +363,12 @@ export const ArticleAssociations = (model) => {
         foreignKey: 'id',
         constraints: false
     })
+
+    //  Article answer vote associations
+    articleAnswerModel.Vote = articleAnswerModel.hasMany(articleAnswerVoteModel, {
+        foreignKey: 'answer',
+        constraints: false
+    })
 }
 
 // Load defaults for Articles table
@@ -284,10 +383,13 @@ export const ArticleDefaults = async (model) => {
                     author: article.author,
                     abstract: article.abstract,
                     raw: article.raw,
+                    acceptedAnswer: article.acceptedAnswer || null,
                     createdAt: article.createdAt
                 }
             })
         }
+
+        await resetSequence(model)
     } catch (error) {
         throw new Error(error)
     }
@@ -346,6 +448,8 @@ export const ArticleAnswerDefaults = async (model) => {
                 }
             })
         }
+
+        await resetSequence(model)
     } catch (error) {
         throw new Error(error)
     }
@@ -388,6 +492,11 @@ const articlesFields = [
         filter: 'numeric',
         sortable: true
     },
+    {
+        field: 'solved',
+        filter: 'boolean',
+        sortable: true
+    },
     {
         field: 'createdAt',
         filter: 'date',
@@ -427,6 +536,7 @@ export class Articles extends FilteredList {
             abstract: '"Article"."abstract"',
             createdAt: '"Article"."createdAt"',
             author: '"Article"."author"',
+            solved: '("Article"."acceptedAnswer" IS NOT NULL)',
             tsv: '"Article"."tsv"',
             user: {
                 id: '"User"."id"',
@@ -450,7 +560,7 @@ export class Articles extends FilteredList {
     }
 
     get tsQuery() {
-        return this.search ? `plainto_tsquery('${this.search}')` : ''
+        return this.search ? 'plainto_tsquery(:search)' : ''
     }
 
     get rankCol() {
@@ -475,6 +585,13 @@ export class Articles extends FilteredList {
             })
         }
 
+        if (this.filters.solved) {
+            wheres.push({
+                column: this.cols.solved,
+                filter: this.filters.solved
+            })
+        }
+
         if (this.filters.createdAt) {
             wheres.push({
                 column: `DATE(${this.cols.createdAt})`,
@@ -590,6 +707,13 @@ export class Articles extends FilteredList {
             })
         }
 
+        if (this.sorts.solved) {
+            orders.push({
+                column: this.cols.solved,
+                direction: this.sorts.solved
+            })
+        }
+
         if (this.sorts.createdAt) {
             orders.push({
                 column: this.cols.createdAt,
@@ -662,7 +786,8 @@ export class Articles extends FilteredList {
                     hubs: [hub],
                     tags: [tag],
                     answers: parseInt(dataValues.answers),
-                    votes: parseInt(dataValues.votes)
+                    votes: parseInt(dataValues.votes),
+                    solved: dataValues.solved
                 }
 
                 articles.push(newArticleObject)
@@ -681,6 +806,7 @@ export class Articles extends FilteredList {
                     ${this.cols.title},
                     ${this.extended ? `${this.cols.abstract},` : ''}
                     ${this.cols.createdAt},
+                    ${this.cols.solved} AS "solved",
                     ${this.search ? `${this.rankCol} AS "rank",` : ''}
                     ${this.cols.user.id} AS "User.id",
                     ${this.cols.user.displayName} AS "User.displayName",
@@ -716,6 +842,7 @@ export class Articles extends FilteredList {
             `), {
                 model: this.articleModel,
                 type: QueryTypes.SELECT,
+                replacements: this.replacements,
                 benchmark: true,
                 logging: (sql, timing) => this.addTiming(timing)
             })
@@ -737,6 +864,7 @@ export class Articles extends FilteredList {
             `), {
                 model: this.articleModel,
                 type: QueryTypes.SELECT,
+                replacements: this.replacements,
                 benchmark: true,
                 logging: (sql, timing) => this.addTiming(timing)
             })
@@ -747,3 +875,877 @@ export class Articles extends FilteredList {
         }
     }
 }
+
+// Class for getting a single article with its author, hubs, tags and votes
+export class Article extends Benchmark {
+    constructor({id, user, role}) {
+        super()
+
+        this.db = getConnection()
+
+        this.articleModel = getInstance('Article')
+        this.articleHubModel = getInstance('ArticleHub')
+        this.articleTagModel = getInstance('ArticleTag')
+        this.articleAnswerModel = getInstance('ArticleAnswer')
+        this.articleAnswerVoteModel = getInstance('ArticleAnswerVote')
+        this.articleVoteModel = getInstance('ArticleVote')
+        this.userModel = getInstance('User')
+        this.hubModel = getInstance('Hub')
+        this.tagModel = getInstance('Tag')
+
+        this.id = parseInt(id)
+        this.userId = user ? parseInt(user) : false
+        this.role = role || 'user'
+
+        this.votes = 0
+        this.voted = false
+        this.vote = 0
+
+        this.dataProxy = null
+    }
+
+    get data() {
+        return this.dataProxy
+    }
+
+    //  Data preparation
+    set data(article) {
+        this.dataProxy = {
+            id: article.id,
+            title: article.title,
+            abstract: article.abstract,
+            raw: article.get('raw'),
+            acceptedAnswer: article.acceptedAnswer,
+            createdAt: article.createdAt,
+            updatedAt: article.updatedAt,
+            author: {
+                id: article.User.id,
+                displayName: article.User.displayName,
+                hash: article.User.hash
+            },
+            hubs: article.Hubs.map(hub => ({
+                id: hub.id,
+                name: hub.name
+            })),
+            tags: article.Tags.map(tag => ({
+                id: tag.id,
+                name: tag.name,
+                hub: tag.hub
+            })),
+            votes: this.votes,
+            voted: this.voted,
+            vote: this.vote
+        }
+    }
+
+    // Load data
+    async setData() {
+        if (!this.id) {
+            return false
+        }
+
+        try {
+            const article = await this.articleModel.findOne({
+                where: {
+                    id: this.id
+                },
+                include: [
+                    {
+                        model: this.userModel,
+                        attributes: ['id', 'displayName', 'hash']
+                    },
+                    {
+                        model: this.hubModel,
+                        attributes: ['id', 'name'],
+                        through: {
+                            attributes: []
+                        }
+                    },
+                    {
+                        model: this.tagModel,
+                        attributes: ['id', 'name', 'hub'],
+                        through: {
+                            attributes: []
+                        }
+                    }
+                ],
+                benchmark: true,
+                logging: (sql, timing) => this.addTiming(timing)
+            })
+
+            if (!article) {
+                return false
+            }
+
+            this.votes = await this.articleVoteModel.sum('vote', {
+                where: {
+                    article: this.id
+                },
+                benchmark: true,
+                logging: (sql, timing) => this.addTiming(timing)
+            }) || 0
+
+            if (this.userId) {
+                const vote = await this.articleVoteModel.findOne({
+                    where: {
+                        article: this.id,
+                        user: this.userId
+                    },
+                    benchmark: true,
+                    logging: (sql, timing) => this.addTiming(timing)
+                })
+
+                this.voted = !!vote
+                this.vote = vote ? vote.vote : 0
+            }
+
+            this.data = article
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    //  Check that all hubs and tags exist and every tag belongs to one of the hubs
+    async validRelations(hubs, tags, transaction) {
+        if (!hubs.length) {
+            return [false, 'hubs']
+        }
+
+        if (!tags.length) {
+            return [false, 'tags']
+        }
+
+        const hubsCount = await this.hubModel.count({
+            where: {
+                id: {
+                    [Op.in]: hubs
+                }
+            },
+            transaction
+        })
+
+        if (hubsCount !== hubs.length) {
+            return [false, 'hubs']
+        }
+
+        const tagsCount = await this.tagModel.count({
+            where: {
+                id: {
+                    [Op.in]: tags
+                },
+                hub: {
+                    [Op.in]: hubs
+                }
+            },
+            transaction
+        })
+
+        if (tagsCount !== tags.length) {
+            return [false, 'tags']
+        }
+
+        return [true, null]
+    }
+
+    //  Replace article hubs and tags with the given ones
+    async setRelations(hubs, tags, transaction) {
+        await this.articleHubModel.destroy({
+            where: {
+                article: this.id
+            },
+            transaction
+        })
+
+        await this.articleTagModel.destroy({
+            where: {
+                article: this.id
+            },
+            transaction
+        })
+
+        await this.articleHubModel.bulkCreate(hubs.map(hub => ({
+            article: this.id,
+            hub
+        })), {
+            transaction
+        })
+
+        await this.articleTagModel.bulkCreate(tags.map(tag => ({
+            article: this.id,
+            tag
+        })), {
+            transaction
+        })
+    }
+
+    //  Check that the article exists and belongs to the current user
+    async findOwned(transaction, moderated = false) {
+        const article = await this.articleModel.findOne({
+            where: {
+                id: this.id
+            },
+            transaction
+        })
+
+        if (!article) {
+            return [null, 'not_found']
+        }
+
+        if (article.author !== this.userId && !(moderated && await moderatesArticle({id: this.userId, role: this.role}, this.id, transaction))) {
+            return [null, 'forbidden']
+        }
+
+        return [article, null]
+    }
+
+    async create({title, abstract, raw, hubs, tags}) {
+        try {
+            const error = await this.db.transaction(async (transaction) => {
+                const [valid, source] = await this.validRelations(hubs, tags, transaction)
+
+                if (!valid) {
+                    return {
+                        source,
+                        type: 'invalid'
+                    }
+                }
+
+                const article = await this.articleModel.create({
+                    title,
+                    abstract,
+                    raw,
+                    author: this.userId
+                }, {
+                    transaction
+                })
+
+                this.id = article.id
+
+                await this.setRelations(hubs, tags, transaction)
+
+                return null
+            })
+
+            if (error) {
+                return [false, error]
+            }
+
+            await this.setData()
+
+            return [true, null]
+        } catch (error) {
+            throw validationError(error)
+        }
+    }
+
+    async update({title, abstract, raw, hubs, tags}) {
+        try {
+            const error = await this.db.transaction(async (transaction) => {
+                const [article, type] = await this.findOwned(transaction)
+
+                if (!article) {
+                    return {
+                        source: 'article',
+                        type
+                    }
+                }
+
+                const [valid, source] = await this.validRelations(hubs, tags, transaction)
+
+                if (!valid) {
+                    return {
+                        source,
+                        type: 'invalid'
+                    }
+                }
+
+                await article.update({
+                    title,
+                    abstract,
+                    raw
+                }, {
+                    transaction
+                })
+
+                await this.setRelations(hubs, tags, transaction)
+
+                return null
+            })
+
+            if (error) {
+                return [false, error]
+            }
+
+            await this.setData()
+
+            return [true, null]
+        } catch (error) {
+            throw validationError(error)
+        }
+    }
+
+    //  Mark one of the article answers as accepted or clear the choice
+    async accept(answerId) {
+        try {
+            const [article, type] = await this.findOwned()
+
+            if (!article) {
+                return [false, {
+                    source: 'article',
+                    type
+                }]
+            }
+
+            if (answerId) {
+                const count = await this.articleAnswerModel.count({
+                    where: {
+                        id: answerId,
+                        article: this.id
+                    }
+                })
+
+                if (count === 0) {
+                    return [false, {
+                        source: 'answer',
+                        type: 'not_found'
+                    }]
+                }
+            }
+
+            await article.update({
+                acceptedAnswer: answerId || null
+            })
+
+            await this.setData()
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    async delete() {
+        try {
+            const error = await this.db.transaction(async (transaction) => {
+                const [article, type] = await this.findOwned(transaction, true)
+
+                if (!article) {
+                    return {
+                        source: 'article',
+                        type
+                    }
+                }
+
+                const where = {
+                    article: this.id
+                }
+
+                await this.articleHubModel.destroy({where, transaction})
+                await this.articleTagModel.destroy({where, transaction})
+                await this.articleAnswerVoteModel.destroy({
+                    where: {
+                        answer: {
+                            [Op.in]: this.db.literal(`(SELECT "id" FROM "${this.articleAnswerModel.tableName}" WHERE "article" = ${this.id})`)
+                        }
+                    },
+                    transaction
+                })
+                await this.articleAnswerModel.destroy({where, transaction})
+                await this.articleVoteModel.destroy({where, transaction})
+                await article.destroy({transaction})
+
+                return null
+            })
+
+            if (error) {
+                return [false, error]
+            }
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+}
+
+// Class for voting on a single article
+export class ArticleVote extends Benchmark {
+    constructor({id, user}) {
+        super()
+
+        this.db = getConnection()
+
+        //  Voted model, its owner field and the votes model, answer votes replace them
+        this.targetModel = getInstance('Article')
+        this.voteModel = getInstance('ArticleVote')
+        this.source = 'article'
+        this.ownerField = 'author'
+
+        this.id = parseInt(id)
+        this.userId = parseInt(user)
+
+        this.votes = 0
+        this.vote = 0
+    }
+
+    get data() {
+        return {
+            id: this.id,
+            votes: this.votes,
+            vote: this.vote
+        }
+    }
+
+    //  Votes of the current user and the voted item
+    get where() {
+        return {
+            [this.source]: this.id,
+            user: this.userId
+        }
+    }
+
+    //  Check that the voted item exists and is not written by the current user
+    async findVotable(transaction) {
+        const target = await this.targetModel.findOne({
+            where: {
+                id: this.id
+            },
+            transaction
+        })
+
+        if (!target) {
+            return [null, {
+                source: this.source,
+                type: 'not_found'
+            }]
+        }
+
+        if (target[this.ownerField] === this.userId) {
+            return [null, {
+                source: 'vote',
+                type: 'self_vote'
+            }]
+        }
+
+        return [target, null]
+    }
+
+    //  Recalculate score of the voted item
+    async setVotes(transaction) {
+        this.votes = await this.voteModel.sum('vote', {
+            where: {
+                [this.source]: this.id
+            },
+            transaction,
+            benchmark: true,
+            logging: (sql, timing) => this.addTiming(timing)
+        }) || 0
+    }
+
+    //  Set the current user vote to +1 or -1
+    async set(value) {
+        try {
+            const error = await this.db.transaction(async (transaction) => {
+                const [target, error] = await this.findVotable(transaction)
+
+                if (!target) {
+                    return error
+                }
+
+                const vote = await this.voteModel.findOne({
+                    where: this.where,
+                    transaction
+                })
+
+                if (vote) {
+                    await vote.update({vote: value}, {transaction})
+                }
+                else {
+                    await this.voteModel.create({
+                        ...this.where,
+                        vote: value
+                    }, {
+                        transaction
+                    })
+                }
+
+                this.vote = value
+
+                await this.setVotes(transaction)
+
+                return null
+            })
+
+            if (error) {
+                return [false, error]
+            }
+
+            return [true, null]
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                return [false, {
+                    source: 'vote',
+                    type: 'already_voted'
+                }]
+            }
+
+            throw validationError(error)
+        }
+    }
+
+    //  Remove the current user vote
+    async retract() {
+        try {
+            const error = await this.db.transaction(async (transaction) => {
+                const [target, error] = await this.findVotable(transaction)
+
+                if (!target) {
+                    return error
+                }
+
+                const deleted = await this.voteModel.destroy({
+                    where: this.where,
+                    transaction
+                })
+
+                if (!deleted) {
+                    return {
+                        source: 'vote',
+                        type: 'not_found'
+                    }
+                }
+
+                this.vote = 0
+
+                await this.setVotes(transaction)
+
+                return null
+            })
+
+            if (error) {
+                return [false, error]
+            }
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+}
+
+//  Votes for article answers, answers are owned by the user field
+export class ArticleAnswerVote extends ArticleVote {
+    constructor({id, user}) {
+        super({id, user})
+
+        this.targetModel = getInstance('ArticleAnswer')
+        this.voteModel = getInstance('ArticleAnswerVote')
+        this.source = 'answer'
+        this.ownerField = 'user'
+    }
+}
+
+// Sortable fields for ArticleAnswers class
+const answersFields = [
+    {
+        field: 'createdAt',
+        sortable: true
+    },
+    {
+        field: 'votes',
+        sortable: true
+    }
+]
+
+// Class for getting a paginated list of article answers
+export class ArticleAnswers extends Benchmark {
+    constructor({id, limit, offset, sorts}) {
+        super()
+
+        this.db = getConnection()
+
+        this.articleModel = getInstance('Article')
+        this.articleAnswerModel = getInstance('ArticleAnswer')
+        this.articleAnswerVoteModel = getInstance('ArticleAnswerVote')
+        this.userModel = getInstance('User')
+
+        this.articleId = parseInt(id)
+        this.limit = limit
+        this.offset = offset
+        this.sorts = sorts ? getSorts(answersFields, sorts) : {}
+
+        this.dataProxy = []
+        this.total = 0
+    }
+
+    //  Sum of answer votes
+    get votesCol() {
+        return this.db.literal(`(SELECT COALESCE(SUM("vote"), 0) FROM "${this.articleAnswerVoteModel.tableName}" WHERE "answer" = "ArticleAnswer"."id")`)
+    }
+
+    //  Whether the answer is accepted by the article author
+    get acceptedCol() {
+        return this.db.literal(`COALESCE("ArticleAnswer"."id" = (SELECT "acceptedAnswer" FROM "${this.articleModel.tableName}" WHERE "id" = "ArticleAnswer"."article"), FALSE)`)
+    }
+
+    //  ORDER BY clause for ArticlesAnswers table
+    get order() {
+        const orders = [
+            [this.acceptedCol, 'DESC']
+        ]
+
+        if (this.sorts.votes) {
+            orders.push([this.votesCol, this.sorts.votes])
+        }
+
+        orders.push(['createdAt', this.sorts.createdAt || 'ASC'])
+
+        return orders
+    }
+
+    get data() {
+        return this.dataProxy
+    }
+
+    //  Data preparation
+    set data(answersRaw) {
+        const answers = []
+
+        for (let answer of answersRaw) {
+            answers.push({
+                id: answer.id,
+                message: answer.message,
+                createdAt: answer.createdAt,
+                updatedAt: answer.updatedAt,
+                votes: parseInt(answer.get('votes')),
+                accepted: answer.get('accepted'),
+                author: {
+                    id: answer.User.id,
+                    displayName: answer.User.displayName,
+                    hash: answer.User.hash
+                }
+            })
+        }
+
+        this.dataProxy = answers
+    }
+
+    // Load data
+    async setData() {
+        try {
+            const {count, rows} = await this.articleAnswerModel.findAndCountAll({
+                where: {
+                    article: this.articleId
+                },
+                attributes: {
+                    include: [
+                        [this.votesCol, 'votes'],
+                        [this.acceptedCol, 'accepted']
+                    ]
+                },
+                include: [
+                    {
+                        model: this.userModel,
+                        attributes: ['id', 'displayName', 'hash']
+                    }
+                ],
+                order: this.order,
+                limit: this.limit,
+                offset: this.offset,
+                benchmark: true,
+                logging: (sql, timing) => this.addTiming(timing)
+            })
+
+            this.data = rows
+            this.total = count
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+}
+
+// Class for creating, editing and deleting a single article answer
+export class ArticleAnswer extends Benchmark {
+    constructor({id, user, role}) {
+        super()
+
+        this.db = getConnection()
+
+        this.articleModel = getInstance('Article')
+        this.articleAnswerModel = getInstance('ArticleAnswer')
+        this.articleAnswerVoteModel = getInstance('ArticleAnswerVote')
+        this.userModel = getInstance('User')
+
+        this.id = id ? parseInt(id) : false
+        this.userId = user ? parseInt(user) : false
+        this.role = role || 'user'
+
+        this.dataProxy = null
+    }
+
+    get data() {
+        return this.dataProxy
+    }
+
+    //  Data preparation
+    set data(answer) {
+        this.dataProxy = {
+            id: answer.id,
+            article: answer.article,
+            message: answer.message,
+            createdAt: answer.createdAt,
+            updatedAt: answer.updatedAt,
+            author: {
+                id: answer.User.id,
+                displayName: answer.User.displayName,
+                hash: answer.User.hash
+            }
+        }
+    }
+
+    // Load data
+    async setData() {
+        try {
+            const answer = await this.articleAnswerModel.findOne({
+                where: {
+                    id: this.id
+                },
+                include: [
+                    {
+                        model: this.userModel,
+                        attributes: ['id', 'displayName', 'hash']
+                    }
+                ],
+                benchmark: true,
+                logging: (sql, timing) => this.addTiming(timing)
+            })
+
+            if (!answer) {
+                return false
+            }
+
+            this.data = answer
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    //  Check that the answer exists and belongs to the current user
+    async findOwned(transaction, moderated = false) {
+        const answer = await this.articleAnswerModel.findOne({
+            where: {
+                id: this.id
+            },
+            transaction
+        })
+
+        if (!answer) {
+            return [null, 'not_found']
+        }
+
+        if (answer.user !== this.userId && !(moderated && await moderatesArticle({id: this.userId, role: this.role}, answer.article, transaction))) {
+            return [null, 'forbidden']
+        }
+
+        return [answer, null]
+    }
+
+    async create(articleId, {message}) {
+        try {
+            const count = await this.articleModel.count({
+                where: {
+                    id: articleId
+                }
+            })
+
+            if (count === 0) {
+                return [false, {
+                    source: 'article',
+                    type: 'not_found'
+                }]
+            }
+
+            const answer = await this.articleAnswerModel.create({
+                article: articleId,
+                user: this.userId,
+                message
+            })
+
+            this.id = answer.id
+
+            await this.setData()
+
+            return [true, null]
+        } catch (error) {
+            throw validationError(error)
+        }
+    }
+
+    async update({message}) {
+        try {
+            const [answer, type] = await this.findOwned()
+
+            if (!answer) {
+                return [false, {
+                    source: 'answer',
+                    type
+                }]
+            }
+
+            await answer.update({message})
+            await this.setData()
+
+            return [true, null]
+        } catch (error) {
+            throw validationError(error)
+        }
+    }
+
+    async delete() {
+        try {
+            const error = await this.db.transaction(async (transaction) => {
+                const [answer, type] = await this.findOwned(transaction, true)
+
+                if (!answer) {
+                    return {
+                        source: 'answer',
+                        type
+                    }
+                }
+
+                await this.articleAnswerVoteModel.destroy({
+                    where: {
+                        answer: this.id
+                    },
+                    transaction
+                })
+                await this.articleModel.update({
+                    acceptedAnswer: null
+                }, {
+                    where: {
+                        id: answer.article,
+                        acceptedAnswer: this.id
+                    },
+                    transaction
+                })
+                await answer.destroy({transaction})
+
+                return null
+            })
+
+            if (error) {
+                return [false, error]
+            }
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+}
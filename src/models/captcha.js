@@ -1,8 +1,27 @@
-const { Op, DataTypes } = require('sequelize')
+const crypto = require('crypto')
+const { Op, DataTypes, QueryTypes } = require('sequelize')
+const {addMinutes, subMinutes, subDays} = require('date-fns')
 
 import {getConnection} from '../core/database'
 import {getInstance} from "./index";
-import {getTasks, getTask} from '../captcha'
+import {getTasks, getTask, loadTasks} from '../captcha'
+import {
+    normalizeAnswer,
+    DEFAULT_ANSWER_TYPE
+} from "../captcha/answers"
+import {
+    taskInstruction,
+    powInstruction,
+    DEFAULT_LANGUAGE
+} from "../captcha/instructions"
+import {
+    createPow,
+    verifyPow,
+    powBits,
+    POW_ALGORITHM
+} from "../captcha/pow"
+import {outputWarning} from "../utils/console"
+import {prepareQuery} from "../utils/queries"
 
 export const CaptchaModel = () => {
     const db = getConnection()
@@ -30,6 +49,12 @@ export const CaptchaModel = () => {
             validate: {
                 isNumeric: true
             }
+        },
+        //  Disabled tasks are never issued, e.g. when their module was removed
+        enabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
         }
     },
     {
@@ -38,63 +63,298 @@ export const CaptchaModel = () => {
     })
 }
 
-export const CaptchaDefaults = async (model) => {
-    const tasks = getTasks()
+//  Lifetime of the captcha token in minutes
+export const CAPTCHA_TOKEN_EXPIRES_IN = 15
 
-    try {
-        for (let task of tasks) {
-            await model.findOrCreate({
-                where: {
-                    name: task.name,
-                    taskId: task.id
-                },
-                defaults: {
-                    name: task.name,
-                    taskId: task.id,
-                    difficulty: task.difficulty
-                }
-            })
+//  Difficulty range of captcha tasks
+export const CAPTCHA_MIN_DIFFICULTY = 1
+export const CAPTCHA_MAX_DIFFICULTY = 5
+
+//  Number of wrong answers from the same client that raises the difficulty by one in adaptive mode
+const CAPTCHA_ADAPTIVE_STEP = 2
+
+//  Adaptive difficulty is on unless the operator sets CAPTCHA_ADAPTIVE=0
+const adaptiveEnabled = () => !['0', 'false'].includes(String(process.env.CAPTCHA_ADAPTIVE || '').trim())
+
+//  Challenge types: math tasks and hashcash-style proof of work
+export const CAPTCHA_TYPES = ['math', 'pow']
+
+//  Types the operator allows with CAPTCHA_TYPES, e.g. "math,pow", only math tasks by default
+export const allowedCaptchaTypes = () => {
+    const types = String(process.env.CAPTCHA_TYPES || '')
+        .split(',')
+        .map(t => t.trim())
+        .filter(t => CAPTCHA_TYPES.includes(t))
+
+    return types.length ? types : ['math']
+}
+
+//  Days expired challenges are kept for statistics
+export const CAPTCHA_STATS_RETENTION = 30
+
+//  Minutes between garbage collections of expired challenges
+const CAPTCHA_CLEANUP_INTERVAL = 60
+
+let lastCleanupAt = null
+
+export const CaptchaChallengeModel = () => {
+    const db = getConnection()
+
+    return db.define('CaptchaChallenge', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        type: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            defaultValue: 'math'
+        },
+        //  Captcha task of math challenges
+        captcha: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        nonce: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            unique: true
+        },
+        params: {
+            type: DataTypes.JSONB,
+            allowNull: false
+        },
+        //  Task difficulty when the challenge was issued
+        difficulty: {
+            type: DataTypes.INTEGER
+        },
+        issuedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        client: {
+            type: DataTypes.TEXT
+        },
+        solved: {
+            type: DataTypes.BOOLEAN
+        },
+        usedAt: {
+            type: DataTypes.DATE
         }
+    },
+    {
+        freezeTableName: true,
+        tableName: 'CaptchaChallenges',
+        timestamps: false
+    })
+}
+
+//  Create rows for loaded tasks and disable rows whose task is not loaded anymore
+const synchronizeTasks = async (model) => {
+    for (let task of getTasks()) {
+        await model.findOrCreate({
+            where: {
+                name: task.name,
+                taskId: task.id
+            },
+            defaults: {
+                name: task.name,
+                taskId: task.id,
+                difficulty: task.difficulty
+            }
+        })
+    }
+
+    const rows = await model.findAll({
+        where: {
+            enabled: true
+        }
+    })
+    const stale = rows.filter(row => !getTask(row.name, row.taskId))
+
+    if (stale.length) {
+        await model.update({
+            enabled: false
+        }, {
+            where: {
+                id: {
+                    [Op.in]: stale.map(row => row.id)
+                }
+            }
+        })
+
+        outputWarning(`Captcha tasks ${stale.map(row => `'${row.name}:${row.taskId}'`).join(', ')} are not loaded and were disabled`)
+    }
+}
+
+export const CaptchaDefaults = async (model) => {
+    try {
+        await synchronizeTasks(model)
     } catch (error) {
         throw new Error(error)
     }
 }
 
 export class Captcha {
-    constructor(difficulty) {
+    constructor({type, minDifficulty, maxDifficulty, families, client, language} = {}) {
         this.db = getConnection()
         this.captchaModel = getInstance('Captcha')
-        this.difficulty = difficulty || 5
+        this.captchaChallengeModel = getInstance('CaptchaChallenge')
+        this.type = type || 'math'
+        this.minDifficulty = minDifficulty || CAPTCHA_MIN_DIFFICULTY
+        this.maxDifficulty = maxDifficulty || CAPTCHA_MAX_DIFFICULTY
+        this.families = families && families.length ? families : false
+        this.client = client || null
+        this.language = language || DEFAULT_LANGUAGE
         this.data = null
         this.math = ''
+        this.instruction = ''
+        this.difficulty = null
+        this.answerType = DEFAULT_ANSWER_TYPE
+        this.pow = null
+    }
+
+    //  Raise the minimal difficulty after repeated wrong answers from the client, the raised range
+    //  overrides the requested one, so the client can not opt out by asking for easy tasks
+    async adaptiveDifficulty() {
+        if (!adaptiveEnabled() || !this.client) {
+            return [this.minDifficulty, this.maxDifficulty]
+        }
+
+        const failures = await this.captchaChallengeModel.count({
+            where: {
+                client: this.client,
+                solved: false,
+                expiresAt: {
+                    [Op.gte]: new Date()
+                }
+            }
+        })
+        const raise = Math.floor(failures / CAPTCHA_ADAPTIVE_STEP)
+
+        if (!raise) {
+            return [this.minDifficulty, this.maxDifficulty]
+        }
+
+        const hardest = await this.captchaModel.max('difficulty', {
+            where: this.where(CAPTCHA_MIN_DIFFICULTY, CAPTCHA_MAX_DIFFICULTY)
+        })
+        const minDifficulty = Math.min(this.minDifficulty + raise, hardest || CAPTCHA_MAX_DIFFICULTY)
+
+        return [minDifficulty, Math.max(this.maxDifficulty, minDifficulty)]
+    }
+
+    //  WHERE clause for Captchas table
+    where(minDifficulty, maxDifficulty) {
+        return {
+            enabled: true,
+            difficulty: {
+                [Op.between]: [minDifficulty, maxDifficulty]
+            },
+            ...(this.families && {
+                name: {
+                    [Op.in]: this.families
+                }
+            })
+        }
+    }
+
+    //  Garbage collection of challenges expired longer than the statistics retention,
+    //  runs at most once per interval instead of on every generated challenge
+    async removeExpired() {
+        if (lastCleanupAt && lastCleanupAt > subMinutes(new Date(), CAPTCHA_CLEANUP_INTERVAL)) {
+            return
+        }
+
+        lastCleanupAt = new Date()
+
+        await this.captchaChallengeModel.destroy({
+            where: {
+                expiresAt: {
+                    [Op.lt]: subDays(new Date(), CAPTCHA_STATS_RETENTION)
+                }
+            }
+        })
+    }
+
+    //  Proof-of-work challenge does not depend on captcha tasks
+    async setPowData() {
+        const pow = createPow(powBits())
+        const nonce = crypto.randomBytes(16).toString('hex')
+
+        await this.captchaChallengeModel.create({
+            type: 'pow',
+            nonce,
+            params: pow,
+            client: this.client,
+            expiresAt: addMinutes(new Date(), CAPTCHA_TOKEN_EXPIRES_IN)
+        })
+
+        this.pow = {
+            ...pow,
+            algorithm: POW_ALGORITHM
+        }
+        this.instruction = powInstruction(pow.bits, this.language)
+        this.data = {nonce}
+
+        return true
     }
 
     async setData() {
         try {
+            await this.removeExpired()
+
+            if (this.type === 'pow') {
+                return this.setPowData()
+            }
+
+            const [minDifficulty, maxDifficulty] = await this.adaptiveDifficulty()
             const data = await this.captchaModel.findOne({
-                where: {
-                    difficulty: {
-                        [Op.lte]: this.difficulty
-                    }
-                },
+                where: this.where(minDifficulty, maxDifficulty),
                 order: this.db.random()
             })
 
-            const task = getTask(data.name, data.taskId)
+            if (!data) {
+                return false
+            }
 
-            if (task) {
-                const params = task.generate()
+            const task = getTask(data.name, data.taskId)
 
-                this.math = task.math(...params)
-                this.data = {
-                    id: data.id,
-                    ...{params}
-                }
+            //  Task module was removed after the rows were synchronized, pick another one
+            if (!task) {
+                await data.update({
+                    enabled: false
+                })
 
-                return true
+                return this.setData()
             }
 
-            return false
+            const params = task.generate()
+            const nonce = crypto.randomBytes(16).toString('hex')
+
+            await this.captchaChallengeModel.create({
+                captcha: data.id,
+                nonce,
+                params,
+                difficulty: data.difficulty,
+                client: this.client,
+                expiresAt: addMinutes(new Date(), CAPTCHA_TOKEN_EXPIRES_IN)
+            })
+
+            //  Task parameters stay on the server, the client gets only an opaque nonce
+            this.math = task.math(...params)
+            this.instruction = taskInstruction(task, this.language)
+            this.difficulty = data.difficulty
+            this.answerType = task.answerType || DEFAULT_ANSWER_TYPE
+            this.data = {nonce}
+
+            return true
         } catch (error) {
             throw error
         }
@@ -102,42 +362,244 @@ export class Captcha {
 }
 
 export class ValidateCaptcha {
-    constructor(id) {
+    constructor(nonce) {
         this.captchaModel = getInstance('Captcha')
-        this.id = id
+        this.captchaChallengeModel = getInstance('CaptchaChallenge')
+        this.nonce = String(nonce)
+        this.type = 'math'
+        this.challengeId = null
+        this.params = []
         this.answer = null
+        this.answerType = DEFAULT_ANSWER_TYPE
     }
 
     async setData() {
         try {
+            const challenge = await this.captchaChallengeModel.findOne({
+                where: {
+                    nonce: this.nonce
+                }
+            })
+
+            //  Challenges of types the operator has switched off are not accepted anymore
+            if (!challenge || !allowedCaptchaTypes().includes(challenge.type)) {
+                return false
+            }
+
+            if (challenge.type === 'pow') {
+                this.type = challenge.type
+                this.challengeId = challenge.id
+                this.params = challenge.params
+
+                return true
+            }
+
             const data = await this.captchaModel.findOne({
                 where: {
-                    id: this.id
+                    id: challenge.captcha
                 }
             })
 
-            const task = getTask(data.name, data.taskId)
+            const task = data ? getTask(data.name, data.taskId) : false
 
             if (task) {
+                this.challengeId = challenge.id
+                this.params = challenge.params
                 this.answer = task.answer
+                this.answerType = task.answerType || DEFAULT_ANSWER_TYPE
 
                 return true
             }
 
             return false
         } catch (error) {
-            throw error
+            throw new Error(error)
+        }
+    }
+
+    //  Mark the challenge as used, returns false when it was already checked
+    async use(solved) {
+        try {
+            const [updated] = await this.captchaChallengeModel.update({
+                solved: !!solved,
+                usedAt: new Date()
+            }, {
+                where: {
+                    id: this.challengeId,
+                    usedAt: null,
+                    expiresAt: {
+                        [Op.gte]: new Date()
+                    }
+                }
+            })
+
+            return updated > 0
+        } catch (error) {
+            throw new Error(error)
         }
     }
 
-    validate(params, answer) {
+    //  Math answers are compared in the canonical form of the task answer type, proof of work by its hash
+    validate(answer) {
+        if (this.type === 'pow') {
+            return verifyPow(this.params, answer)
+        }
+
         if (this.answer) {
-            const realAnswer = this.answer(...params)
-            const checkAnswer = parseInt(answer)
+            const realAnswer = normalizeAnswer(this.answerType, this.answer(...this.params))
+            const checkAnswer = normalizeAnswer(this.answerType, answer)
 
-            return realAnswer === checkAnswer
+            return realAnswer !== null && realAnswer === checkAnswer
         }
 
         return false
     }
 }
+
+//  Captcha tasks management for administrators
+export class CaptchaTasks {
+    constructor() {
+        this.captchaModel = getInstance('Captcha')
+        this.data = []
+    }
+
+    async setData() {
+        try {
+            const rows = await this.captchaModel.findAll({
+                order: [
+                    ['name', 'ASC'],
+                    ['taskId', 'ASC']
+                ]
+            })
+
+            this.data = rows.map(row => ({
+                id: row.id,
+                name: row.name,
+                taskId: row.taskId,
+                difficulty: row.difficulty,
+                enabled: row.enabled,
+                loaded: !!getTask(row.name, row.taskId)
+            }))
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    async setEnabled(id, enabled) {
+        try {
+            const row = await this.captchaModel.findOne({
+                where: {
+                    id
+                }
+            })
+
+            if (!row) {
+                return [false, {
+                    source: 'captcha',
+                    type: 'not_found'
+                }]
+            }
+
+            if (enabled && !getTask(row.name, row.taskId)) {
+                return [false, {
+                    source: 'captcha',
+                    type: 'not_loaded'
+                }]
+            }
+
+            await row.update({
+                enabled: !!enabled
+            })
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    //  Read the tasks directory again and synchronize the Captchas table with it
+    async reload() {
+        try {
+            loadTasks()
+
+            await synchronizeTasks(this.captchaModel)
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+}
+
+//  Solve rates and timing per task over the challenges issued in the last days
+export class CaptchaStats {
+    constructor({days} = {}) {
+        this.db = getConnection()
+        this.captchaModel = getInstance('Captcha')
+        this.captchaChallengeModel = getInstance('CaptchaChallenge')
+        this.days = Math.min(Math.max(parseInt(days) || CAPTCHA_STATS_RETENTION, 1), CAPTCHA_STATS_RETENTION)
+        this.data = []
+    }
+
+    get replacements() {
+        return {
+            since: subDays(new Date(), this.days)
+        }
+    }
+
+    async setData() {
+        try {
+            //  Time to solve is measured from issuing the challenge to checking the answer, in seconds
+            const rows = await this.db.query(prepareQuery(`
+                SELECT
+                    "Captcha"."id",
+                    "Captcha"."name",
+                    "Captcha"."taskId",
+                    "Captcha"."difficulty",
+                    "Captcha"."enabled",
+                    COUNT("Challenge"."id") AS "issued",
+                    COUNT("Challenge"."usedAt") AS "attempts",
+                    COUNT("Challenge"."id") FILTER (WHERE "Challenge"."solved") AS "solved",
+                    PERCENTILE_CONT(0.5) WITHIN GROUP (
+                        ORDER BY EXTRACT(EPOCH FROM "Challenge"."usedAt" - "Challenge"."issuedAt")
+                    ) FILTER (WHERE "Challenge"."solved") AS "medianTime",
+                    PERCENTILE_CONT(0.5) WITHIN GROUP (
+                        ORDER BY EXTRACT(EPOCH FROM "Challenge"."usedAt" - "Challenge"."issuedAt")
+                    ) FILTER (WHERE NOT "Challenge"."solved") AS "medianWrongTime"
+                FROM "${this.captchaModel.tableName}" AS "Captcha"
+                LEFT OUTER JOIN "${this.captchaChallengeModel.tableName}" AS "Challenge"
+                    ON "Challenge"."captcha" = "Captcha"."id" AND "Challenge"."issuedAt" >= :since
+                GROUP BY "Captcha"."id"
+                ORDER BY "Captcha"."name" ASC, "Captcha"."taskId" ASC
+            `), {
+                type: QueryTypes.SELECT,
+                replacements: this.replacements
+            })
+
+            this.data = rows.map(row => {
+                const attempts = parseInt(row.attempts)
+                const solved = parseInt(row.solved)
+
+                return {
+                    id: row.id,
+                    name: row.name,
+                    taskId: row.taskId,
+                    difficulty: row.difficulty,
+                    enabled: row.enabled,
+                    issued: parseInt(row.issued),
+                    attempts,
+                    solved,
+                    solveRate: attempts ? solved / attempts : null,
+                    medianTime: row.medianTime === null ? null : Number(row.medianTime),
+                    medianWrongTime: row.medianWrongTime === null ? null : Number(row.medianWrongTime)
+                }
+            })
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+}
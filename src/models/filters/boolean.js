@@ -0,0 +1,13 @@
+const booleanFilter = (value, key) => {
+    const booleanValue = [true, 'true', 1, '1'].includes(value)
+
+    return {
+        value: booleanValue,
+        operation: `= :${key}`,
+        replacements: {
+            [key]: booleanValue
+        }
+    }
+}
+
+export default booleanFilter
@@ -11,7 +11,7 @@ const parseDatabaseDate = (value) => {
     return false
 }
 
-const dateFilter = (value) => {
+const dateFilter = (value, key) => {
     const equals = value.equals ? parseDatabaseDate(value.equals) : false
     const start = value.start ? parseDatabaseDate(value.start) : false
     const end = value.end ? parseDatabaseDate(value.end) : false
@@ -19,26 +19,39 @@ const dateFilter = (value) => {
     if (equals) {
         return {
             equals,
-            operation: `= '${equals}'`
+            operation: `= :${key}`,
+            replacements: {
+                [key]: equals
+            }
         }
     }
     else if (start && !end) {
         return {
             start,
-            operation: `>= '${start}'`
+            operation: `>= :${key}`,
+            replacements: {
+                [key]: start
+            }
         }
     }
     else if (!start && end) {
         return {
             end,
-            operation: `<= '${end}'`
+            operation: `<= :${key}`,
+            replacements: {
+                [key]: end
+            }
         }
     }
     else if (start && end) {
         return {
             start,
             end,
-            operation: `BETWEEN '${start}' AND '${end}'`
+            operation: `BETWEEN :${key}_start AND :${key}_end`,
+            replacements: {
+                [`${key}_start`]: start,
+                [`${key}_end`]: end
+            }
         }
     }
 
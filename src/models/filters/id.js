@@ -1,9 +1,12 @@
-const idFilter = (value) => {
+const idFilter = (value, key) => {
     const id = parseInt(value)
 
     return {
         id,
-        operation: `= ${id.toString()}`
+        operation: `= :${key}`,
+        replacements: {
+            [key]: id
+        }
     }
 }
 
@@ -1,10 +1,15 @@
-const idsFilter = (value) => {
+const idsFilter = (value, key) => {
     if (Array.isArray(value)) {
-        const ids = value.map(id => parseInt(id))
+        const ids = value.map(id => parseInt(id)).filter(id => !isNaN(id))
 
-        return {
-            ids,
-            operation: `IN (${ids.join(',')})`
+        if (ids.length) {
+            return {
+                ids,
+                operation: `IN (:${key})`,
+                replacements: {
+                    [key]: ids
+                }
+            }
         }
     }
 
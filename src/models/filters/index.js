@@ -3,19 +3,23 @@ import idFilter from "./id";
 import idsFilter from "./ids";
 import numericFilter from './numeric';
 import dateFilter from "./date";
+import booleanFilter from "./boolean";
 
-export const getFilter = (type, value) => {
+//  Key is used as a name of the query replacements
+export const getFilter = (type, value, key) => {
     switch (type) {
         case 'text':
-            return textFilter(value)
+            return textFilter(value, key)
         case 'id':
-            return idFilter(value)
+            return idFilter(value, key)
         case 'ids':
-            return idsFilter(value)
+            return idsFilter(value, key)
         case 'numeric':
-            return numericFilter(value)
+            return numericFilter(value, key)
         case 'date':
-            return dateFilter(value)
+            return dateFilter(value, key)
+        case 'boolean':
+            return booleanFilter(value, key)
     }
 
     return false
@@ -29,11 +33,11 @@ export const getFilters = (fields, values) => {
             const field = filter.field
             const value = filter.value
 
-            if (field && value) {
+            if (field && (value || value === false)) {
                 const fieldObject = fields.find(f => f.field === field)
 
                 if (fieldObject && fieldObject.filter) {
-                    const filter = getFilter(fieldObject.filter, value)
+                    const filter = getFilter(fieldObject.filter, value, fieldObject.field)
 
                     if (filter) {
                         filters[fieldObject.field] = filter
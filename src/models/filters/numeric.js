@@ -1,4 +1,4 @@
-const numericFilter = (value) => {
+const numericFilter = (value, key) => {
     const equals = value.equals ? parseInt(value.equals) : false
     const min = value.min ? parseInt(value.min) : false
     const max = value.max ? parseInt(value.max) : false
@@ -6,26 +6,39 @@ const numericFilter = (value) => {
     if (equals) {
         return {
             equals,
-            operation: `= ${equals.toString()}`
+            operation: `= :${key}`,
+            replacements: {
+                [key]: equals
+            }
         }
     }
     else if (min && !max) {
         return {
             min,
-            operation: `>= ${min.toString()}`
+            operation: `>= :${key}`,
+            replacements: {
+                [key]: min
+            }
         }
     }
     else if (!min && max) {
         return {
             max,
-            operation: `<= ${max.toString()}`
+            operation: `<= :${key}`,
+            replacements: {
+                [key]: max
+            }
         }
     }
     else if (min && max) {
         return {
             min,
             max,
-            operation: `BETWEEN ${min.toString()} AND ${max.toString()}`,
+            operation: `BETWEEN :${key}_min AND :${key}_max`,
+            replacements: {
+                [`${key}_min`]: min,
+                [`${key}_max`]: max
+            }
         }
     }
 
@@ -1,9 +1,12 @@
-const textFilter = (value) => {
+const textFilter = (value, key) => {
     const textValue = String(value)
 
     return {
         value: textValue,
-        operation: `ILIKE '%${textValue}%'`
+        operation: `ILIKE :${key}`,
+        replacements: {
+            [key]: `%${textValue.replace(/[\\%_]/g, '\\$&')}%`
+        }
     }
 }
 
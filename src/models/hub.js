@@ -1,8 +1,11 @@
-import {DataTypes, QueryTypes} from "sequelize";
+import {Op, DataTypes, QueryTypes} from "sequelize";
 
 import {getConnection} from "../core/database"
 import {getInstance} from "./index";
-import {hubs} from "../tests/hubs"
+import {
+    hubs,
+    moderators
+} from "../tests/hubs"
 import {
     prepareWhere,
     prepareOrder,
@@ -83,6 +86,50 @@ export const HubDefaults = async (model) => {
     }
 }
 
+export const HubModeratorModel = () => {
+    const db = getConnection()
+
+    return db.define('HubModerator', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        hub: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        user: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        }
+    }, {
+        freezeTableName: true,
+        tableName: 'HubsModerators',
+        timestamps: false,
+        indexes: [
+            {
+                name: 'hub_moderator_user',
+                unique: true,
+                fields: ['hub', 'user']
+            }
+        ]
+    })
+}
+
+export const HubModeratorDefaults = async (model) => {
+    try {
+        for (let moderator of moderators) {
+            await model.findOrCreate({
+                where: moderator,
+                defaults: moderator
+            })
+        }
+    } catch (error) {
+        throw new Error(error)
+    }
+}
+
 export class Hub {
     constructor(model) {
         this.model = model
@@ -163,7 +210,7 @@ export class Hubs extends FilteredList {
     }
 
     get tsQuery() {
-        return this.search ? `plainto_tsquery('${this.search}')` : ''
+        return this.search ? 'plainto_tsquery(:search)' : ''
     }
 
     get rankCol() {
@@ -311,6 +358,7 @@ export class Hubs extends FilteredList {
             `), {
                 model: this.hubModel,
                 type: QueryTypes.SELECT,
+                replacements: this.replacements,
                 benchmark: true,
                 logging: (sql, timing) => this.addTiming(timing)
             })
@@ -332,6 +380,7 @@ export class Hubs extends FilteredList {
             `), {
                 model: this.hubModel,
                 type: QueryTypes.SELECT,
+                replacements: this.replacements,
                 benchmark: true,
                 logging: (sql, timing) => this.addTiming(timing)
             })
@@ -340,3 +389,138 @@ export class Hubs extends FilteredList {
         }
     }
 }
+
+export class HubModerators {
+    constructor(hubId) {
+        this.hubModeratorModel = getInstance('HubModerator')
+        this.hubModel = getInstance('Hub')
+        this.userModel = getInstance('User')
+
+        this.hubId = hubId ? parseInt(hubId) : false
+
+        this.dataProxy = []
+    }
+
+    get data() {
+        return this.dataProxy
+    }
+
+    set data(usersRaw) {
+        this.dataProxy = usersRaw.map(user => ({
+            id: user.id,
+            displayName: user.displayName,
+            hash: user.hash
+        }))
+    }
+
+    async setData() {
+        try {
+            const rows = await this.hubModeratorModel.findAll({
+                where: {
+                    hub: this.hubId
+                }
+            })
+
+            this.data = await this.userModel.findAll({
+                where: {
+                    id: {
+                        [Op.in]: rows.map(row => row.user)
+                    }
+                },
+                order: [
+                    ['displayName', 'ASC']
+                ]
+            })
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    async add(userId) {
+        try {
+            const hubsCount = await this.hubModel.count({
+                where: {
+                    id: this.hubId
+                }
+            })
+
+            if (hubsCount === 0) {
+                return [false, {
+                    source: 'hub',
+                    type: 'not_found'
+                }]
+            }
+
+            const usersCount = await this.userModel.count({
+                where: {
+                    id: userId
+                }
+            })
+
+            if (usersCount === 0) {
+                return [false, {
+                    source: 'user',
+                    type: 'not_found'
+                }]
+            }
+
+            await this.hubModeratorModel.findOrCreate({
+                where: {
+                    hub: this.hubId,
+                    user: userId
+                }
+            })
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    async remove(userId) {
+        try {
+            const deleted = await this.hubModeratorModel.destroy({
+                where: {
+                    hub: this.hubId,
+                    user: userId
+                }
+            })
+
+            if (!deleted) {
+                return [false, {
+                    source: 'moderator',
+                    type: 'not_found'
+                }]
+            }
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    //  Check that the user may moderate at least one of the given hubs
+    async moderates({id, role}, hubIds, transaction) {
+        if (role === 'admin' || role === 'moderator') {
+            return true
+        }
+
+        try {
+            const count = await this.hubModeratorModel.count({
+                where: {
+                    user: id,
+                    hub: {
+                        [Op.in]: hubIds
+                    }
+                },
+                transaction
+            })
+
+            return count > 0
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+}
@@ -1,5 +1,6 @@
 import {
     CaptchaModel,
+    CaptchaChallengeModel,
     CaptchaDefaults
 } from "./captcha"
 import {
@@ -23,12 +24,21 @@ import {
     ArticleModel,
     ArticleAnswerModel,
     ArticleVoteModel,
+    ArticleAnswerVoteModel,
     ArticleAnswerDefaults
 } from "./article"
 import {
     HubModel,
-    HubDefaults
+    HubModeratorModel,
+    HubDefaults,
+    HubModeratorDefaults
 } from "./hub";
+import {
+    SessionModel
+} from "./session"
+import {
+    LoginFailureModel
+} from "./login"
 import {
     TagAssociations,
     TagModel,
@@ -43,16 +53,21 @@ import {getConnection} from "../core/database";
 //  List of all Sequelize models
 const models = [
     CaptchaModel,
+    CaptchaChallengeModel,
     UserModel,
+    SessionModel,
+    LoginFailureModel,
     OrganizationModel,
     OrganizationUserModel,
     HubModel,
+    HubModeratorModel,
     TagModel,
     ArticleModel,
     ArticleHubModel,
     ArticleTagModel,
     ArticleAnswerModel,
-    ArticleVoteModel
+    ArticleVoteModel,
+    ArticleAnswerVoteModel
 ]
 
 // List of all Sequelize associations
@@ -93,6 +108,10 @@ const defaults = [
         model: 'Hub',
         create: HubDefaults
     },
+    {
+        model: 'HubModerator',
+        create: HubModeratorDefaults
+    },
     {
         model: 'Tag',
         create: TagDefaults
@@ -0,0 +1,179 @@
+const { Op, DataTypes } = require('sequelize')
+const {subMinutes, addMinutes, differenceInSeconds} = require('date-fns')
+
+import {getConnection} from "../core/database"
+import {getInstance} from "./index"
+
+//  Failed logins per email or IP within the window after which a captcha is required
+const LOGIN_CAPTCHA_THRESHOLD = 3
+
+//  Failed logins per email within the window after which the account is locked
+const LOGIN_LOCK_THRESHOLD = 10
+
+//  Window in minutes failed logins are counted in
+const LOGIN_FAILURE_WINDOW = 15
+
+//  Thresholds can be overridden with environment variables of the same name
+const setting = (name, defaultValue) => parseInt(process.env[name]) || defaultValue
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase()
+
+//  Sequelize model for the LoginFailures table
+export const LoginFailureModel = () => {
+    const db = getConnection()
+
+    return db.define('LoginFailure', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        email: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        ip: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        createdAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        freezeTableName: true,
+        tableName: 'LoginFailures',
+        timestamps: false,
+        indexes: [
+            {
+                name: 'login_failure_email',
+                fields: ['email']
+            },
+            {
+                name: 'login_failure_ip',
+                fields: ['ip']
+            }
+        ]
+    })
+}
+
+// Class for counting failed logins of the email and IP
+export class LoginFailures {
+    constructor({email, ip}) {
+        this.loginFailureModel = getInstance('LoginFailure')
+        this.email = normalizeEmail(email)
+        this.ip = ip || null
+        this.emailFailures = 0
+        this.ipFailures = 0
+        this.unlockAt = null
+    }
+
+    get window() {
+        return setting('LOGIN_FAILURE_WINDOW', LOGIN_FAILURE_WINDOW)
+    }
+
+    get captchaThreshold() {
+        return setting('LOGIN_CAPTCHA_THRESHOLD', LOGIN_CAPTCHA_THRESHOLD)
+    }
+
+    get lockThreshold() {
+        return setting('LOGIN_LOCK_THRESHOLD', LOGIN_LOCK_THRESHOLD)
+    }
+
+    get captchaRequired() {
+        return this.emailFailures >= this.captchaThreshold || this.ipFailures >= this.captchaThreshold
+    }
+
+    get locked() {
+        return !!this.unlockAt && this.unlockAt > new Date()
+    }
+
+    //  Seconds until the account is unlocked
+    get retryAfter() {
+        return this.locked ? differenceInSeconds(this.unlockAt, new Date()) + 1 : 0
+    }
+
+    where(fields) {
+        return {
+            ...fields,
+            createdAt: {
+                [Op.gte]: subMinutes(new Date(), this.window)
+            }
+        }
+    }
+
+    async setData() {
+        try {
+            this.emailFailures = await this.loginFailureModel.count({
+                where: this.where({
+                    email: this.email
+                })
+            })
+
+            this.ipFailures = this.ip ? await this.loginFailureModel.count({
+                where: this.where({
+                    ip: this.ip
+                })
+            }) : 0
+
+            this.unlockAt = null
+
+            //  The lock lasts until the oldest failure above the threshold leaves the window
+            if (this.emailFailures >= this.lockThreshold) {
+                const failures = await this.loginFailureModel.findAll({
+                    where: this.where({
+                        email: this.email
+                    }),
+                    order: [
+                        ['createdAt', 'DESC']
+                    ],
+                    limit: this.lockThreshold
+                })
+
+                this.unlockAt = addMinutes(failures[failures.length - 1].createdAt, this.window)
+            }
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    async add() {
+        try {
+            //  Failures outside the window are not counted anymore
+            await this.loginFailureModel.destroy({
+                where: {
+                    createdAt: {
+                        [Op.lt]: subMinutes(new Date(), this.window)
+                    }
+                }
+            })
+
+            await this.loginFailureModel.create({
+                email: this.email,
+                ip: this.ip
+            })
+
+            return this.setData()
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    //  Successful login resets failures of the email, failures of the IP are kept
+    async clear() {
+        try {
+            await this.loginFailureModel.destroy({
+                where: {
+                    email: this.email
+                }
+            })
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+}
@@ -36,6 +36,17 @@ export class FilteredList extends Benchmark {
         return this.dataProxy
     }
 
+    //  Values for named replacements used in filters and search
+    get replacements() {
+        const replacements = this.search ? {search: this.search} : {}
+
+        for (let filter of Object.values(this.filters)) {
+            Object.assign(replacements, filter.replacements)
+        }
+
+        return replacements
+    }
+
     get total() {
         return this.totalProxy
     }
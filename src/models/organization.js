@@ -224,7 +224,7 @@ export class Organizations extends FilteredList {
     }
 
     get tsQuery() {
-        return this.search ? `plainto_tsquery('${this.search}')` : ''
+        return this.search ? 'plainto_tsquery(:search)' : ''
     }
 
     get rankCol() {
@@ -379,6 +379,7 @@ export class Organizations extends FilteredList {
             `), {
                 model: this.organizationModel,
                 type: QueryTypes.SELECT,
+                replacements: this.replacements,
                 benchmark: true,
                 logging: (sql, timing) => this.addTiming(timing)
             })
@@ -400,6 +401,7 @@ export class Organizations extends FilteredList {
             `), {
                 model: this.organizationModel,
                 type: QueryTypes.SELECT,
+                replacements: this.replacements,
                 benchmark: true,
                 logging: (sql, timing) => this.addTiming(timing)
             })
@@ -0,0 +1,230 @@
+const { Op, DataTypes } = require('sequelize')
+const {addDays} = require('date-fns')
+
+import {getConnection} from "../core/database"
+import {getInstance} from "./index"
+import {
+    randomToken,
+    tokenHash
+} from "../utils/tokens"
+
+//  Lifetime of the refresh token in days
+const REFRESH_TOKEN_EXPIRES_IN = 30
+
+//  Sequelize model for the Sessions table
+export const SessionModel = () => {
+    const db = getConnection()
+
+    return db.define('Session', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        tokenHash: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            unique: true
+        },
+        device: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        ip: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false
+        }
+    }, {
+        freezeTableName: true,
+        tableName: 'Sessions'
+    })
+}
+
+// Class for issuing, rotating and revoking refresh tokens
+export class Session {
+    constructor() {
+        this.sessionModel = getInstance('Session')
+
+        this.dataProxy = null
+        this.refreshToken = null
+    }
+
+    get expiresIn() {
+        return REFRESH_TOKEN_EXPIRES_IN * 24 * 60 * 60
+    }
+
+    get data() {
+        return this.dataProxy
+    }
+
+    set data(session) {
+        this.dataProxy = {
+            id: session.id,
+            user: session.user,
+            device: session.device,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt
+        }
+    }
+
+    async create(userId, {device, ip}) {
+        try {
+            await this.sessionModel.destroy({
+                where: {
+                    user: userId,
+                    expiresAt: {
+                        [Op.lt]: new Date()
+                    }
+                }
+            })
+
+            this.refreshToken = randomToken()
+
+            const session = await this.sessionModel.create({
+                user: userId,
+                tokenHash: tokenHash(this.refreshToken),
+                device,
+                ip,
+                expiresAt: addDays(new Date(), REFRESH_TOKEN_EXPIRES_IN)
+            })
+
+            this.data = session
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    //  Exchange refresh token for a new one within the same session
+    async refresh(refreshToken, {device, ip}) {
+        try {
+            const session = await this.sessionModel.findOne({
+                where: {
+                    tokenHash: tokenHash(refreshToken)
+                }
+            })
+
+            if (!session) {
+                return [false, 'not_found']
+            }
+
+            if (session.expiresAt < new Date()) {
+                await session.destroy()
+
+                return [false, 'expired']
+            }
+
+            this.refreshToken = randomToken()
+
+            await session.update({
+                tokenHash: tokenHash(this.refreshToken),
+                device,
+                ip,
+                lastUsedAt: new Date(),
+                expiresAt: addDays(new Date(), REFRESH_TOKEN_EXPIRES_IN)
+            })
+
+            this.data = session
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    //  Revoke one session of the user, or all of them when id is not given
+    async revoke(userId, id) {
+        try {
+            const deleted = await this.sessionModel.destroy({
+                where: {
+                    user: userId,
+                    ...(id && {id})
+                }
+            })
+
+            return deleted > 0
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    //  Check that the session of an access token was not revoked
+    async active(userId, id) {
+        try {
+            const count = await this.sessionModel.count({
+                where: {
+                    id,
+                    user: userId,
+                    expiresAt: {
+                        [Op.gte]: new Date()
+                    }
+                }
+            })
+
+            return count > 0
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+}
+
+// Class for getting active sessions of the user
+export class Sessions {
+    constructor(userId) {
+        this.sessionModel = getInstance('Session')
+        this.userId = userId
+
+        this.dataProxy = []
+    }
+
+    get data() {
+        return this.dataProxy
+    }
+
+    set data(sessionsRaw) {
+        this.dataProxy = sessionsRaw.map(session => ({
+            id: session.id,
+            device: session.device,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt
+        }))
+    }
+
+    async setData() {
+        try {
+            this.data = await this.sessionModel.findAll({
+                where: {
+                    user: this.userId,
+                    expiresAt: {
+                        [Op.gte]: new Date()
+                    }
+                },
+                order: [
+                    ['lastUsedAt', 'DESC']
+                ]
+            })
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+}
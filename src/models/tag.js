@@ -150,7 +150,7 @@ export class Tags extends FilteredList {
     }
 
     get tsQuery() {
-        return this.search ? `plainto_tsquery('${this.search}')` : ''
+        return this.search ? 'plainto_tsquery(:search)' : ''
     }
 
     get rankCol() {
@@ -284,6 +284,7 @@ export class Tags extends FilteredList {
             `), {
                 model: this.tagModel,
                 type: QueryTypes.SELECT,
+                replacements: this.replacements,
                 benchmark: true,
                 logging: (sql, timing) => this.addTiming(timing)
             })
@@ -304,6 +305,7 @@ export class Tags extends FilteredList {
             `), {
                 model: this.tagModel,
                 type: QueryTypes.SELECT,
+                replacements: this.replacements,
                 benchmark: true,
                 logging: (sql, timing) => this.addTiming(timing)
             })
@@ -364,12 +366,15 @@ export class TagsInHub extends Benchmark {
                 FROM "${this.tagModel.tableName}" AS "Tag"
                 LEFT OUTER JOIN ("${this.articleTagModel.tableName}" AS "ArticleTag"
                         INNER JOIN "${this.articleModel.tableName}" AS "Article" ON "Article"."id" = "ArticleTag"."article") ON ${this.cols.id} = "ArticleTag"."tag"
-                WHERE "Tag"."hub" = ${this.hubId}
+                WHERE "Tag"."hub" = :hub
                 GROUP BY ${this.cols.id}
                 ORDER BY COUNT(DISTINCT(${this.cols.id})) DESC
             `), {
                 model: this.tagModel,
                 type: QueryTypes.SELECT,
+                replacements: {
+                    hub: this.hubId
+                },
                 benchmark: true,
                 logging: (sql, timing) => this.addTiming(timing)
             })
@@ -1,10 +1,41 @@
 const bcrypt = require('bcrypt')
 const md5 = require('md5')
 const { Op, DataTypes } = require('sequelize')
+const {subHours, subMinutes} = require('date-fns')
 
 import {getConnection} from "../core/database"
 import {getInstance} from "./index"
 import {users} from "../tests/users"
+import {sendMail} from "../mail"
+import {outputError} from "../utils/console"
+import {validationError} from "../utils/errors"
+import {
+    randomCode,
+    randomToken,
+    tokenHash
+} from "../utils/tokens"
+import {
+    confirmMessage,
+    resetMessage
+} from "../mail/messages"
+
+//  Available user roles
+export const ROLES = ['user', 'moderator', 'admin']
+
+//  Lifetime of the email confirmation code in hours
+const CONFIRM_CODE_EXPIRES_IN = 24
+
+//  Minimal interval between confirmation emails in minutes
+const CONFIRM_RESEND_INTERVAL = 1
+
+//  Lifetime of the password reset token in minutes
+const RESET_TOKEN_EXPIRES_IN = 60
+
+const hashPassword = async (password) => {
+    const salt = await bcrypt.genSalt(10)
+
+    return await bcrypt.hash(password, salt)
+}
 
 export const UserModel = () => {
     const db = getConnection()
@@ -42,8 +73,32 @@ export const UserModel = () => {
                 type: DataTypes.TEXT,
                 allowNull: false
             },
+            confirmSentAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW
+            },
             confirmedAt: {
                 type: DataTypes.DATE
+            },
+            resetToken: {
+                type: DataTypes.TEXT
+            },
+            resetSentAt: {
+                type: DataTypes.DATE
+            },
+            role: {
+                type: DataTypes.TEXT,
+                allowNull: false,
+                defaultValue: 'user',
+                validate: {
+                    isIn: [ROLES]
+                }
+            },
+            tokenVersion: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0
             }
         },
         {
@@ -51,12 +106,8 @@ export const UserModel = () => {
             tableName: 'Users',
             hooks: {
                 beforeCreate: async function(user) {
-                    const salt = await bcrypt.genSalt(10)
-                    const confirmPlain = user.confirmCode + Date.now().toString()
-
-                    user.password = await bcrypt.hash(user.password, salt)
+                    user.password = await hashPassword(user.password)
                     user.hash = md5(Date.now().toString() + user.hash)
-                    user.confirmCode = md5(confirmPlain)
                 }
             }
         }
@@ -90,14 +141,17 @@ export class User {
         this.userModel = getInstance('User')
 
         this.dataProxy = null
+        this.tokenVersion = 0
     }
 
     set data(user) {
+        this.tokenVersion = user.tokenVersion
         this.dataProxy = {
             id: user.id,
             displayName: user.displayName,
             email: user.email,
-            hash: user.hash
+            hash: user.hash,
+            role: user.role
         }
     }
 
@@ -105,6 +159,14 @@ export class User {
         return this.dataProxy
     }
 
+    //  JWT payload for the loaded user
+    get claims() {
+        return {
+            ...this.dataProxy,
+            version: this.tokenVersion
+        }
+    }
+
     async create(data) {
         try {
             const count = await this.userModel.count({
@@ -117,10 +179,10 @@ export class User {
                 return false
             }
 
-            const confirmCode = String(data.email + data.displayName)
+            //  Confirmation code is random, so it can not be derived from the public user data
             const userData = Object.assign(data, {
-                confirmCode,
-                hash: md5(confirmCode)
+                confirmCode: randomCode(),
+                hash: md5(String(data.email + data.displayName))
             })
             const user = this.userModel.build(userData)
             await user.validate()
@@ -128,22 +190,184 @@ export class User {
 
             this.data = user
 
+            //  The account is kept when the mail is not sent, the code can be requested again with /auth/resend
+            try {
+                await this.sendConfirmation(user)
+            } catch (error) {
+                outputError(`Confirmation mail to '${user.email}' was not sent: ${error.message}`)
+            }
+
             return true
         } catch (error) {
-            if (error.name === 'SequelizeValidationError') {
-                const item = error.errors[0]
-
-                throw {
-                    name: 'validation',
-                    data: {
-                        source: item.path,
-                        type: 'invalid'
+            throw validationError(error)
+        }
+    }
+
+    async sendConfirmation(user) {
+        await sendMail({
+            to: user.email,
+            ...confirmMessage(user)
+        })
+    }
+
+    async confirm(code) {
+        try {
+            const user = await this.userModel.findOne({
+                where: {
+                    confirmCode: String(code),
+                    confirmedAt: null
+                }
+            })
+
+            if (!user) {
+                return [false, 'not_found']
+            }
+
+            if (user.confirmSentAt < subHours(new Date(), CONFIRM_CODE_EXPIRES_IN)) {
+                return [false, 'expired']
+            }
+
+            await user.update({
+                confirmCode: randomCode(),
+                confirmedAt: new Date()
+            })
+
+            this.data = user
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    async resend(email) {
+        try {
+            const user = await this.userModel.findOne({
+                where: {
+                    email: String(email)
+                }
+            })
+
+            if (!user) {
+                return [false, 'not_found']
+            }
+
+            if (user.confirmedAt) {
+                return [false, 'already_confirmed']
+            }
+
+            if (user.confirmSentAt > subMinutes(new Date(), CONFIRM_RESEND_INTERVAL)) {
+                return [false, 'too_many_requests']
+            }
+
+            await user.update({
+                confirmCode: randomCode(),
+                confirmSentAt: new Date()
+            })
+
+            await this.sendConfirmation(user)
+
+            return [true, null]
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    async forgot(email) {
+        try {
+            const user = await this.userModel.findOne({
+                where: {
+                    email: String(email),
+                    confirmedAt: {
+                        [Op.not]: null
                     }
                 }
+            })
+
+            if (!user) {
+                return false
+            }
+
+            const resetToken = randomToken()
+
+            await user.update({
+                resetToken: tokenHash(resetToken),
+                resetSentAt: new Date()
+            })
+
+            await sendMail({
+                to: user.email,
+                ...resetMessage(user, resetToken)
+            })
+
+            return true
+        } catch (error) {
+            throw new Error(error)
+        }
+    }
+
+    async reset({token, password}) {
+        try {
+            const user = await this.userModel.findOne({
+                where: {
+                    resetToken: tokenHash(token)
+                }
+            })
+
+            if (!user) {
+                return [false, 'not_found']
             }
-            else {
-                throw new Error(error)
+
+            if (user.resetSentAt < subMinutes(new Date(), RESET_TOKEN_EXPIRES_IN)) {
+                await user.update({
+                    resetToken: null,
+                    resetSentAt: null
+                })
+
+                return [false, 'expired']
             }
+
+            user.password = password
+            await user.validate({
+                fields: ['password']
+            })
+
+            await user.update({
+                password: await hashPassword(password),
+                resetToken: null,
+                resetSentAt: null,
+                tokenVersion: user.tokenVersion + 1
+            }, {
+                validate: false
+            })
+
+            await getInstance('Session').destroy({
+                where: {
+                    user: user.id
+                }
+            })
+
+            this.data = user
+
+            return [true, null]
+        } catch (error) {
+            throw validationError(error)
+        }
+    }
+
+    //  Check that the token was issued after the last password change
+    async validClaims(claims) {
+        try {
+            const count = await this.userModel.count({
+                where: {
+                    id: claims.id,
+                    tokenVersion: claims.version || 0
+                }
+            })
+
+            return count > 0
+        } catch (error) {
+            throw new Error(error)
         }
     }
 
@@ -176,6 +400,32 @@ export class User {
         }
     }
 
+    //  Change user role, issued tokens are reissued with the new role on refresh
+    async setRole(id, role) {
+        try {
+            const user = await this.userModel.findOne({
+                where: {
+                    id: id
+                }
+            })
+
+            if (!user) {
+                return false
+            }
+
+            await user.update({
+                role,
+                tokenVersion: user.tokenVersion + 1
+            })
+
+            this.data = user
+
+            return true
+        } catch (error) {
+            throw validationError(error)
+        }
+    }
+
     async get(id) {
         try {
             const user = await this.userModel.findOne({
@@ -2,9 +2,43 @@ const express = require('express')
 const router = express.Router()
 
 import {
-    all
+    all,
+    get,
+    create,
+    update,
+    remove,
+    answers,
+    createAnswer,
+    updateAnswer,
+    removeAnswer,
+    upvoteAnswer,
+    downvoteAnswer,
+    retractAnswer,
+    upvote,
+    downvote,
+    retract,
+    accept
 } from '../controllers/articles'
+import {
+    validate,
+    identify
+} from '../controllers/profile'
 
 router.post('/all', all)
+router.post('/create', validate, create)
+router.get('/:id', identify, get)
+router.post('/:id/update', validate, update)
+router.post('/:id/delete', validate, remove)
+router.post('/:id/upvote', validate, upvote)
+router.post('/:id/downvote', validate, downvote)
+router.post('/:id/retract', validate, retract)
+router.post('/:id/accept', validate, accept)
+router.post('/:id/answers', answers)
+router.post('/:id/answers/create', validate, createAnswer)
+router.post('/answers/:id/update', validate, updateAnswer)
+router.post('/answers/:id/delete', validate, removeAnswer)
+router.post('/answers/:id/upvote', validate, upvoteAnswer)
+router.post('/answers/:id/downvote', validate, downvoteAnswer)
+router.post('/answers/:id/retract', validate, retractAnswer)
 
 export default router
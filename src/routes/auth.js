@@ -3,10 +3,25 @@ const router = express.Router()
 
 import {
     login,
-    register
+    register,
+    confirm,
+    resend,
+    forgot,
+    reset,
+    refresh,
+    logout
 } from '../controllers/auth'
+import {
+    validate
+} from '../controllers/profile'
 
 router.post('/login', login)
 router.post('/register', register)
+router.post('/confirm', confirm)
+router.post('/resend', resend)
+router.post('/forgot', forgot)
+router.post('/reset', reset)
+router.post('/refresh', refresh)
+router.post('/logout', validate, logout)
 
 export default router
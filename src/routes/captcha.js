@@ -2,9 +2,23 @@ const express = require('express')
 const router = express.Router()
 
 import {
-    generate
+    generate,
+    tasks,
+    enableTask,
+    disableTask,
+    reloadTasks,
+    stats
 } from '../controllers/captcha'
+import {
+    validate,
+    authorize
+} from '../controllers/profile'
 
 router.get('/generate', generate)
+router.post('/tasks', validate, authorize('admin'), tasks)
+router.post('/tasks/reload', validate, authorize('admin'), reloadTasks)
+router.post('/tasks/:id/enable', validate, authorize('admin'), enableTask)
+router.post('/tasks/:id/disable', validate, authorize('admin'), disableTask)
+router.post('/stats', validate, authorize('admin'), stats)
 
 export default router
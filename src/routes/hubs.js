@@ -2,9 +2,19 @@ const express = require('express')
 const router = express.Router()
 
 import {
-    all
+    all,
+    moderators,
+    addModerator,
+    removeModerator
 } from '../controllers/hubs'
+import {
+    validate,
+    authorize
+} from '../controllers/profile'
 
 router.post('/all', all)
+router.post('/:id/moderators', moderators)
+router.post('/:id/moderators/add', validate, authorize('admin'), addModerator)
+router.post('/:id/moderators/remove', validate, authorize('admin'), removeModerator)
 
 export default router
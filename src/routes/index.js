@@ -9,6 +9,7 @@ import hubs from "./hubs"
 import tags from "./tags"
 import stats from "./stats"
 import organizations from "./organizations"
+import users from "./users"
 
 app.use('/captcha' , captcha)
 app.use('/auth', auth)
@@ -18,5 +19,6 @@ app.use('/hubs', hubs)
 app.use('/tags', tags)
 app.use('/stats', stats)
 app.use('/organizations', organizations)
+app.use('/users', users)
 
 export default app
@@ -3,9 +3,11 @@ const router = express.Router()
 
 import {
     validate,
-    me
+    me,
+    sessions
 } from '../controllers/profile'
 
 router.post('/me', validate, me)
+router.post('/sessions', validate, sessions)
 
 export default router
@@ -0,0 +1,14 @@
+const express = require('express')
+const router = express.Router()
+
+import {
+    role
+} from '../controllers/users'
+import {
+    validate,
+    authorize
+} from '../controllers/profile'
+
+router.post('/:id/role', validate, authorize('admin'), role)
+
+export default router
@@ -17,6 +17,7 @@ export const articles = [
         author: 1,
         hubs: [1],
         tags: [2, 3],
+        acceptedAnswer: 3,
         createdAt: '2020-05-07 01:29:42.528+03'
     },
     {
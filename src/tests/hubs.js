@@ -18,3 +18,10 @@ export const hubs = [
         logo: 'https://cryptomath.xyz/images/hubs/blockchain.svg'
     }
 ]
+
+export const moderators = [
+    {
+        hub: 3,
+        user: 3
+    }
+]
@@ -6,7 +6,8 @@ export const users = [
         password: 'Qwerty12345',
         confirmCode: '23c6b4ac5756c0adfc5ecdc4a15b9d83',
         hash: '23c6b4ac5756c0adfc5ecdc4a15b9d83',
-        confirmedAt: '2020-05-06 22:16:42.528+03'
+        confirmedAt: '2020-05-06 22:16:42.528+03',
+        role: 'admin'
     },
     {
         id: 2,
@@ -0,0 +1,16 @@
+//  Convert Sequelize validation errors to the API error format
+export const validationError = (error) => {
+    if (error.name === 'SequelizeValidationError') {
+        const item = error.errors[0]
+
+        return {
+            name: 'validation',
+            data: {
+                source: item.path,
+                type: 'invalid'
+            }
+        }
+    }
+
+    return new Error(error)
+}
@@ -4,10 +4,22 @@ export const randomInt = (min, max) => {
     return Math.round(rand)
 }
 
+//  Exact integer arithmetic for captcha answers is done on BigInt
+export const power = (base, exponent) => {
+    const b = BigInt(base)
+    let val = 1n
+
+    for (let i = 0; i < exponent; i++) {
+        val *= b
+    }
+
+    return val
+}
+
 export const factorial = (n) => {
-    let val = 1
+    let val = 1n
 
-    for (let i = 2; i <= n; i++) {
+    for (let i = 2n; i <= BigInt(n); i++) {
         val *= i
     }
 
@@ -15,8 +27,84 @@ export const factorial = (n) => {
 }
 
 export const binomial = (n, k) => {
-    const numerator = factorial(n)
-    const denominator = factorial(n - k) *  factorial(k)
+    if (k < 0 || k > n) {
+        return 0n
+    }
+
+    const m = BigInt(Math.min(k, n - k))
+    const size = BigInt(n)
+    let val = 1n
+
+    //  Every partial product is a binomial coefficient, so the division is exact
+    for (let i = 1n; i <= m; i++) {
+        val = val * (size - m + i) / i
+    }
+
+    return val
+}
+
+//  Parse integer answer given as a number or a decimal string of any length
+export const parseInteger = (value) => {
+    if (typeof value === 'bigint') {
+        return value
+    }
+
+    if (typeof value === 'number') {
+        return Number.isSafeInteger(value) ? BigInt(value) : null
+    }
+
+    const text = String(value).trim()
+
+    return /^[+-]?\d+$/.test(text) ? BigInt(text) : null
+}
+
+export const gcd = (a, b) => {
+    let x = a < 0n ? -a : a
+    let y = b < 0n ? -b : b
+
+    while (y) {
+        [x, y] = [y, x % y]
+    }
+
+    return x
+}
+
+export const modPow = (base, exponent, modulus) => {
+    const m = BigInt(modulus)
+    let b = BigInt(base) % m
+    let e = BigInt(exponent)
+    let val = 1n
+
+    while (e > 0n) {
+        if (e % 2n === 1n) {
+            val = val * b % m
+        }
+
+        b = b * b % m
+        e /= 2n
+    }
+
+    return val
+}
+
+//  Inverse of a modulo m in [1, m - 1] by the extended Euclidean algorithm, null when gcd(a, m) > 1
+export const modInverse = (a, m) => {
+    const modulus = BigInt(m)
+    let r0 = (BigInt(a) % modulus + modulus) % modulus
+    let r1 = modulus
+    let s0 = 1n
+    let s1 = 0n
+
+    while (r1) {
+        const q = r0 / r1
+        const r = r0 - q * r1
+        const s = s0 - q * s1
+
+        r0 = r1
+        r1 = r
+        s0 = s1
+        s1 = s
+    }
 
-    return Math.floor(numerator / denominator)
+    return r0 === 1n ? (s0 % modulus + modulus) % modulus : null
 }
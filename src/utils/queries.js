@@ -1,3 +1,4 @@
+//  Filter operations contain only named placeholders, values are passed as query replacements
 export const prepareWhere = (wheres, and = false) => {
     const whereQuery = wheres.length ? wheres.map(whereObject => {
         const column = whereObject.column
@@ -18,10 +19,17 @@ export const prepareWhere = (wheres, and = false) => {
 export const prepareOrder = (orders) => {
     return orders.map(orderObject => {
         const column = orderObject.column
-        const direction = orderObject.direction
+        const direction = orderObject.direction === 'ASC' ? 'ASC' : 'DESC'
 
         return `${column} ${direction}`
     }).join(', ')
 }
 
 export const prepareQuery = query => query.replace(/(\r\n|\n|\r)/gm, ' ').replace(/\s\s+/g,' ')
+
+//  Move the serial sequence past rows inserted with explicit ids
+export const resetSequence = async (model, column = 'id') => {
+    const table = model.getTableName()
+
+    await model.sequelize.query(`SELECT setval(pg_get_serial_sequence('"${table}"', '${column}'), COALESCE(MAX("${column}"), 0) + 1, false) FROM "${table}"`)
+}
@@ -0,0 +1,10 @@
+const crypto = require('crypto')
+
+//  Email confirmation code
+export const randomCode = () => crypto.randomBytes(16).toString('hex')
+
+//  Refresh and password reset tokens
+export const randomToken = () => crypto.randomBytes(48).toString('hex')
+
+//  Hash of password reset and refresh tokens stored in the database
+export const tokenHash = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')